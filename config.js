@@ -0,0 +1,165 @@
+require('dotenv').config();
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const geoProvider = (process.env.GEO_PROVIDER || 'google').toLowerCase();
+const redditClient = (process.env.REDDIT_CLIENT ||
+    (geoProvider === 'file' ? 'file' : process.env.REDDIT_CLIENT_ID ? 'oauth' : 'public')).toLowerCase();
+
+// Function to read a number from the environment, keeping 0 (which the limits use for "none")
+function envNumber(name, fallback) {
+    return process.env[name] !== undefined ? parseFloat(process.env[name]) : fallback;
+}
+
+// Central configuration, read once from the environment
+const config = {
+    port: parseInt(process.env.PORT, 10) || 3001,
+
+    geo: {
+        // "google" (default) or "file" for the offline fixture provider
+        provider: geoProvider,
+        googleApiKey: process.env.GOOGLE_MAPS_API_KEY,
+        fixturesDir: path.resolve(__dirname, process.env.GEO_FIXTURES_DIR || 'fixtures/geo'),
+
+        // Persistent cache for paid lookups; off by default for the fixture provider
+        cache: {
+            enabled: process.env.GEO_CACHE_ENABLED !== undefined
+                ? process.env.GEO_CACHE_ENABLED === 'true'
+                : geoProvider !== 'file',
+            filePath: path.resolve(__dirname, process.env.GEO_CACHE_FILE || '.cache/geo.json'),
+            // Decimal places reverse-geocode coordinates are snapped to (4 ~= 11 m)
+            snapDecimals: parseInt(process.env.GEO_CACHE_SNAP_DECIMALS, 10) || 4,
+            ttl: {
+                geocode: (parseFloat(process.env.GEO_CACHE_GEOCODE_TTL_DAYS) || 30) * DAY_MS,
+                reverseGeocode: (parseFloat(process.env.GEO_CACHE_REVERSE_TTL_DAYS) || 30) * DAY_MS,
+                placesNearby: (parseFloat(process.env.GEO_CACHE_PLACES_TTL_DAYS) || 1) * DAY_MS,
+            },
+        },
+
+        // Limits shared by every Google Maps call, Distance Matrix included (see services/scheduler.js)
+        limits: {
+            concurrency: envNumber('MAPS_CONCURRENCY', 10),
+            qps: envNumber('MAPS_QPS', 20),
+            maxRetries: envNumber('MAPS_MAX_RETRIES', 3),
+        },
+    },
+
+    // Amenity place searches tile the city's geocoded bounds with overlapping circles
+    places: {
+        // "city" (the geocoded bounds) or "metro" (the bounds widened by metroMarginKm)
+        coverage: (process.env.PLACES_COVERAGE || 'city').toLowerCase(),
+        tileRadiusMeters: parseInt(process.env.PLACES_TILE_RADIUS_M, 10) || 3000,
+        // Tiles are enlarged until one search of the area needs at most this many
+        maxTiles: parseInt(process.env.PLACES_MAX_TILES, 10) || 16,
+        metroMarginKm: parseFloat(process.env.PLACES_METRO_MARGIN_KM) || 20,
+    },
+
+    // Resolution of the requested city to one canonical place (see services/locations.js)
+    locations: {
+        // Of several places with the requested name, the largest is picked without
+        // asking when its area is at least this many times the next largest
+        dominanceRatio: parseFloat(process.env.LOCATION_DOMINANCE_RATIO) || 10,
+    },
+
+    // Official neighborhood boundary files, one GeoJSON FeatureCollection per city
+    boundaries: {
+        dir: path.resolve(__dirname, process.env.NEIGHBORHOOD_BOUNDARIES_DIR || 'data/boundaries'),
+        // Feature properties checked, in order, for the neighborhood name
+        nameProperties: (process.env.NEIGHBORHOOD_NAME_PROPERTIES || 'name,neighborhood,nhood,ntaname,NAME,Name')
+            .split(',').map(p => p.trim()).filter(Boolean),
+    },
+
+    // Open-data crime incident exports, one file per city (see services/crime/incidents.js)
+    crime: {
+        dir: path.resolve(__dirname, process.env.CRIME_DATA_DIR || 'data/crime'),
+        // Months of incidents counted, ending at the newest incident in the file
+        windowMonths: parseInt(process.env.CRIME_WINDOW_MONTHS, 10) || 12,
+    },
+
+    // Neighborhood- or ZIP-keyed rent indices, one CSV per city (see services/rent/prices.js)
+    rent: {
+        dir: path.resolve(__dirname, process.env.RENT_DATA_DIR || 'data/rent'),
+        // Share over the stated budget at which a neighborhood is dropped rather than penalized
+        budgetTolerance: process.env.RENT_BUDGET_TOLERANCE !== undefined
+            ? parseFloat(process.env.RENT_BUDGET_TOLERANCE)
+            : 0.1,
+    },
+
+    // Travel times for commute constraints: "google" (Distance Matrix) or
+    // "estimate" (straight-line distance and per-mode speed, offline)
+    travel: {
+        provider: (process.env.TRAVEL_TIME_PROVIDER || (geoProvider === 'file' ? 'estimate' : 'google')).toLowerCase(),
+    },
+
+    reddit: {
+        // "oauth" (app credentials), "public" (unauthenticated JSON endpoints) or
+        // "file" for the offline fixture client
+        client: redditClient,
+        clientId: process.env.REDDIT_CLIENT_ID,
+        clientSecret: process.env.REDDIT_CLIENT_SECRET,
+        // Optional; with both set the "password" grant is used instead of app-only auth
+        username: process.env.REDDIT_USERNAME,
+        password: process.env.REDDIT_PASSWORD,
+        // Reddit asks API clients to identify themselves as <platform>:<app id>:<version> (by /u/<user>)
+        userAgent: process.env.REDDIT_USER_AGENT || 'server:neighborhood-finder:1.0.0',
+        fixturesDir: path.resolve(__dirname, process.env.REDDIT_FIXTURES_DIR || 'fixtures/reddit'),
+        postsPerQuery: parseInt(process.env.REDDIT_POSTS_PER_QUERY, 10) || 25,
+        // Top comments fetched for each matching thread (0 disables comment ingestion)
+        commentsPerPost: process.env.REDDIT_COMMENTS_PER_POST !== undefined
+            ? parseInt(process.env.REDDIT_COMMENTS_PER_POST, 10)
+            : 5,
+        // Reddit allows OAuth clients 100 requests a minute and the public endpoints far fewer;
+        // the X-Ratelimit headers are honored on top of these
+        limits: {
+            concurrency: envNumber('REDDIT_CONCURRENCY', 2),
+            qps: envNumber('REDDIT_QPS', redditClient === 'oauth' ? 1.5 : 0.5),
+            maxRetries: envNumber('REDDIT_MAX_RETRIES', 3),
+        },
+    },
+
+    // Per-neighborhood aspect sentiment (safety, noise, ...) extracted from Reddit posts
+    aspects: {
+        // A post this many days old counts half as much as one posted today
+        halfLifeDays: parseFloat(process.env.ASPECT_HALF_LIFE_DAYS) || 365,
+        // Most posts sent to the LLM per extraction call
+        batchSize: parseInt(process.env.ASPECT_BATCH_SIZE, 10) || 10,
+    },
+
+    // Asynchronous search jobs (POST /api/searches)
+    searches: {
+        concurrency: parseInt(process.env.SEARCH_CONCURRENCY, 10) || 2,
+        // How long finished jobs stay available for polling
+        ttlMinutes: parseInt(process.env.SEARCH_TTL_MINUTES, 10) || 60,
+        // Longest any search (background or not) may run before it fails with a 504
+        deadlineSeconds: parseFloat(process.env.SEARCH_DEADLINE_SECONDS) || 300,
+    },
+
+    // Profiles, saved searches and search history (SQLite)
+    storage: {
+        databaseFile: path.resolve(__dirname, process.env.DATABASE_FILE || '.data/neighborhood-finder.db'),
+    },
+
+    llm: {
+        // "openai" (default) or "mock" for the deterministic offline backend
+        backend: (process.env.LLM_BACKEND || 'openai').toLowerCase(),
+        openaiApiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || 'gpt-4',
+        maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES, 10) : 2,
+        // Estimated tokens of Reddit posts sent in one prompt; more posts are split
+        // into batches (and summarized per neighborhood for the scoring prompts)
+        postTokenBudget: parseInt(process.env.LLM_POST_TOKEN_BUDGET, 10) || 5000,
+        // Batches of one step sent to the LLM at the same time
+        batchConcurrency: parseInt(process.env.LLM_BATCH_CONCURRENCY, 10) || 3,
+        // Longest preferences (or follow-up message) a search accepts
+        maxInputChars: parseInt(process.env.LLM_MAX_INPUT_CHARS, 10) || 1000,
+        // Limits on OpenAI requests; maxRetries here is for failed requests (429, 5xx),
+        // the one above for invalid output
+        limits: {
+            concurrency: envNumber('OPENAI_CONCURRENCY', 4),
+            qps: envNumber('OPENAI_QPS', 5),
+            maxRetries: envNumber('OPENAI_MAX_RETRIES', 3),
+        },
+    },
+};
+
+module.exports = config;
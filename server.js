@@ -1,548 +1,108 @@
-require('dotenv').config();
+const config = require('./config');
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { Client } = require('@googlemaps/google-maps-services-js');
+const { geo, llm } = require('./services/clients');
+const { AMENITY_TYPES } = require('./services/amenityTypes');
+const { verifyNeighborhoodAmenities } = require('./services/amenities');
+const { discoverSubreddits, filterRelevantPosts, scrapeReddit } = require('./services/reddit');
+const { runRecommendationPipeline } = require('./services/recommendations');
+const { compareNeighborhoods } = require('./services/compare');
+const { runMultiCitySearch } = require('./services/multiCity');
+const { resolveLocation, requireLocation } = require('./services/locations');
+const { EXPORT_FORMATS, exportResult } = require('./services/export');
+const { renderReport } = require('./services/report');
+const { searchQueue } = require('./services/searchJobs');
+const { checkInputLength } = require('./services/llm/safeguards');
+const { runWithDeadline } = require('./services/requestContext');
+const { getStore } = require('./services/storage');
+const {
+    ProfileError,
+    validateProfile,
+    updateProfile,
+    requireProfile,
+    createSavedSearch,
+    updateSavedSearch,
+    runProfileSearch,
+    runSavedSearch,
+} = require('./services/profiles');
 
 const app = express();
-const port = 3001;
+const port = config.port;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Initialize OpenAI
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Initialize Google Maps client
-const mapsClient = new Client({});
-
-// Function to dynamically discover relevant subreddits for a city
-async function discoverSubreddits(city) {
-    console.log(`\n🔎 DISCOVERING SUBREDDITS FOR: ${city}`);
-
-    try {
-        // Search for subreddits related to the city
-        const url = `https://www.reddit.com/subreddits/search.json?q=${encodeURIComponent(city)}&limit=20`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            },
-            timeout: 10000
-        });
-
-        const subreddits = [];
-
-        if (response.data && response.data.data && response.data.data.children) {
-            response.data.data.children.forEach((child) => {
-                const subreddit = child.data;
-
-                // Filter for relevant subreddits
-                const isRelevant =
-                    subreddit.subscribers > 100 && // Must have at least 100 subscribers
-                    !subreddit.over18 && // Not NSFW
-                    (subreddit.display_name.toLowerCase().includes(city.toLowerCase()) ||
-                     subreddit.public_description.toLowerCase().includes('neighborhood') ||
-                     subreddit.public_description.toLowerCase().includes('live') ||
-                     subreddit.public_description.toLowerCase().includes('ask'));
-
-                if (isRelevant) {
-                    subreddits.push(subreddit.display_name);
-                }
-            });
-        }
-
-        // If we found subreddits, use them. Otherwise fall back to generic patterns
-        if (subreddits.length > 0) {
-            console.log(`✅ Found ${subreddits.length} relevant subreddits: ${subreddits.join(', ')}\n`);
-            return subreddits;
-        } else {
-            // Fallback: generate likely subreddit names based on city
-            const cityLower = city.toLowerCase();
-            const fallbackSubreddits = [
-                cityLower,
-                `${cityLower}housing`,
-                `Ask${city}`,
-                `${cityLower}neighborhoods`,
-            ].filter(s => s.length > 0);
-
-            console.log(`⚠️  No subreddits found, using fallback: ${fallbackSubreddits.join(', ')}\n`);
-            return fallbackSubreddits;
-        }
-    } catch (error) {
-        console.error(`❌ Error discovering subreddits: ${error.message}`);
-
-        // Ultimate fallback
-        const cityLower = city.toLowerCase();
-        const fallback = [cityLower, `Ask${city}`];
-        console.log(`⚠️  Using ultimate fallback: ${fallback.join(', ')}\n`);
-        return fallback;
-    }
-}
-
-// Function to identify relevant keywords from preferences
-async function identifyKeywords(preferences) {
-    const prompt = `Extract the key characteristics/keywords from these preferences: "${preferences}"
-
-Return as JSON array of keywords:
-["keyword1", "keyword2", ...]
-
-Examples: "close to gyms" -> ["gyms", "fitness", "exercise"]
-"safe neighborhoods" -> ["safe", "safety", "crime"]
-"quiet area" -> ["quiet", "peaceful", "noise"]`;
-
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
+// Function to run a search for a request under the search deadline (failing with
+// a 504 when it runs out), cancelling it if the client disconnects first
+function runForRequest(res, fn) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
     });
-
-    let keywordsText = response.choices[0].message.content;
-    keywordsText = keywordsText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    try {
-        return JSON.parse(keywordsText);
-    } catch {
-        return ['neighborhood', 'living', 'area'];
-    }
+    return runWithDeadline(fn, { signal: controller.signal });
 }
 
-// Function to get city coordinates using Google Maps Geocoding
-async function getCityCoordinates(city) {
-    try {
-        const response = await mapsClient.geocode({
-            params: {
-                address: city,
-                key: process.env.GOOGLE_MAPS_API_KEY,
-            },
-        });
-
-        if (response.data.results && response.data.results.length > 0) {
-            const location = response.data.results[0].geometry.location;
-            return { lat: location.lat, lng: location.lng };
-        }
-        return null;
-    } catch (error) {
-        console.error(`Error getting city coordinates: ${error.message}`);
-        return null;
-    }
-}
-
-// Function to get ALL amenity coordinates in a city (pagination)
-async function getAllAmenityCoordinates(city, amenityType, specificNames = []) {
-    try {
-        const cityCoords = await getCityCoordinates(city);
-        if (!cityCoords) return [];
-
-        const allPlaces = [];
-        let nextPageToken = null;
-
-        // If specific brand names are provided, search for those specifically
-        if (specificNames.length > 0) {
-            for (const brandName of specificNames) {
-                try {
-                    console.log(`    Searching for: ${brandName}`);
-                    const response = await mapsClient.placesNearby({
-                        params: {
-                            location: cityCoords,
-                            radius: 8000,
-                            keyword: brandName,
-                            type: amenityType,
-                            key: process.env.GOOGLE_MAPS_API_KEY,
-                        },
-                    });
-
-                    if (response.data.results) {
-                        // Strict filtering - only include results that match the brand name
-                        const brandLower = brandName.toLowerCase();
-                        const filtered = response.data.results.filter(place => {
-                            const placeName = place.name.toLowerCase();
-                            // Require the FIRST word of brand name to be in the place name
-                            // This ensures "Crunch Fitness" matches "Crunch Fitness San Francisco" but NOT "24 Hour Fitness"
-                            const brandWords = brandLower.split(/\s+/).filter(p => p.length > 2);
-                            if (brandWords.length === 0) return false;
-                            const firstWord = brandWords[0];
-                            return placeName.includes(firstWord) &&
-                                   (placeName.indexOf(firstWord) === 0 ||
-                                    placeName.substring(0, 20).includes(firstWord)) &&
-                                   !placeName.includes('google') &&
-                                   !placeName.includes('test');
-                        });
-                        console.log(`    Found ${response.data.results.length} total results, filtered to ${filtered.length} matching ${brandName}`);
-                        allPlaces.push(...filtered);
-                    }
-
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                } catch (error) {
-                    console.error(`Error searching for ${brandName}: ${error.message}`);
-                }
-            }
-        } else {
-            // Generic search by type only if no specific brand
-            for (let page = 0; page < 3; page++) {
-                try {
-                    const response = await mapsClient.placesNearby({
-                        params: {
-                            location: cityCoords,
-                            radius: 8000,
-                            type: amenityType,
-                            pagetoken: nextPageToken,
-                            key: process.env.GOOGLE_MAPS_API_KEY,
-                        },
-                    });
-
-                    if (response.data.results) {
-                        allPlaces.push(...response.data.results);
-                    }
-
-                    nextPageToken = response.data.next_page_token;
-                    if (!nextPageToken) break;
-
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                } catch (error) {
-                    console.error(`Error on page ${page}: ${error.message}`);
-                    break;
-                }
-            }
-        }
+// Test endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'Server is running' });
+});
 
-        return allPlaces.map(place => ({
-            name: place.name,
-            lat: place.geometry.location.lat,
-            lng: place.geometry.location.lng,
-            type: amenityType,
-        }));
-    } catch (error) {
-        console.error(`Error getting ${amenityType} coordinates: ${error.message}`);
-        return [];
+// Geo cache hit/miss stats
+app.get('/api/cache/stats', (req, res) => {
+    const stats = geo.cacheStats();
+    if (!stats) {
+        return res.json({ enabled: false });
     }
-}
+    res.json({ enabled: true, ...stats });
+});
 
-// Function to get amenity coordinates in a city (limited, for display)
-async function getAmenityCoordinates(city, amenityType, limit = 5, specificNames = []) {
+// Candidate places for a city name, for clients to disambiguate before searching
+// (pass the chosen candidate's placeId along with the search)
+app.get('/api/locations/resolve', async (req, res) => {
     try {
-        const cityCoords = await getCityCoordinates(city);
-        if (!cityCoords) return [];
-
-        let places = [];
-
-        // If specific brand names provided, search for those
-        if (specificNames.length > 0) {
-            for (const brandName of specificNames) {
-                try {
-                    const response = await mapsClient.placesNearby({
-                        params: {
-                            location: cityCoords,
-                            radius: 8000,
-                            keyword: brandName,
-                            type: amenityType,
-                            key: process.env.GOOGLE_MAPS_API_KEY,
-                        },
-                    });
-
-                    if (response.data.results) {
-                        const brandLower = brandName.toLowerCase();
-                        const filtered = response.data.results.filter(place => {
-                            const placeName = place.name.toLowerCase();
-                            // Require the FIRST word of brand name to be in the place name
-                            // This ensures "Crunch Fitness" matches "Crunch Fitness San Francisco" but NOT "24 Hour Fitness"
-                            const brandWords = brandLower.split(/\s+/).filter(p => p.length > 2);
-                            if (brandWords.length === 0) return false;
-                            // Primary brand word must be at start or right after city name
-                            const firstWord = brandWords[0];
-                            return placeName.includes(firstWord) &&
-                                   (placeName.indexOf(firstWord) === 0 ||
-                                    placeName.substring(0, 20).includes(firstWord)); // Check first 20 chars
-                        });
-                        places.push(...filtered);
-                    }
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                } catch (error) {
-                    console.error(`Error searching for ${brandName}: ${error.message}`);
-                }
-            }
-        } else {
-            // Generic search if no specific brands
-            const response = await mapsClient.placesNearby({
-                params: {
-                    location: cityCoords,
-                    radius: 8000,
-                    type: amenityType,
-                    key: process.env.GOOGLE_MAPS_API_KEY,
-                },
-            });
-            places = response.data.results || [];
+        const { q } = req.query;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ error: 'q is required' });
         }
-
-        return places.slice(0, limit).map(place => ({
-            name: place.name,
-            lat: place.geometry.location.lat,
-            lng: place.geometry.location.lng,
-            type: amenityType,
-        }));
+        res.json(await resolveLocation(q.trim()));
     } catch (error) {
-        console.error(`Error getting ${amenityType} coordinates: ${error.message}`);
-        return [];
+        console.error('❌ Error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
     }
-}
+});
 
-// Function to identify neighborhood from coordinates using reverse geocoding
-async function getNeighborhoodFromCoordinates(lat, lng) {
+// Verify a single neighborhood's amenities independently of a search
+app.post('/api/neighborhoods/verify', async (req, res) => {
     try {
-        const response = await mapsClient.reverseGeocode({
-            params: {
-                latlng: { lat, lng },
-                key: process.env.GOOGLE_MAPS_API_KEY,
-            },
-        });
-
-        if (response.data.results && response.data.results.length > 0) {
-            // Look for neighborhood-level address component
-            const result = response.data.results[0];
-            const addressComponents = result.address_components || [];
-
-            // Try to find a neighborhood or locality
-            let neighborhood = null;
-            for (const component of addressComponents) {
-                if (component.types.includes('neighborhood')) {
-                    return component.long_name;
-                }
-            }
-            for (const component of addressComponents) {
-                if (component.types.includes('locality')) {
-                    return component.long_name;
-                }
-            }
-            // Fallback to first address component
-            return result.formatted_address.split(',')[0];
-        }
-        return null;
-    } catch (error) {
-        console.error(`Error getting neighborhood: ${error.message}`);
-        return null;
-    }
-}
+        const { neighborhood, city, placeId, radius = 1000, amenityTypes } = req.body;
 
-// Function to cluster amenities by neighborhood and score neighborhoods
-async function scoreNeighborhoodsByAmenities(city, amenitiesNeeded, specificBrands = {}) {
-    console.log('\n🏘️  SCORING NEIGHBORHOODS BY AMENITY CLUSTERS...');
-
-    const neighborhoodScores = {};
-    const neighborhoodAmenities = {};
-
-    // For each amenity type, get all instances and group by neighborhood
-    for (const amenityType of amenitiesNeeded) {
-        try {
-            const brandNames = specificBrands[amenityType] || [];
-            console.log(`  📍 Finding all ${amenityType} in ${city}${brandNames.length > 0 ? ` (${brandNames.join(', ')})` : ''}...`);
-            const amenities = await getAllAmenityCoordinates(city, amenityType, brandNames);
-            console.log(`  ✅ Found ${amenities.length} ${amenityType} locations`);
-
-            // Map each amenity to a neighborhood
-            for (const amenity of amenities) {
-                const neighborhood = await getNeighborhoodFromCoordinates(amenity.lat, amenity.lng);
-                if (neighborhood) {
-                    if (!neighborhoodScores[neighborhood]) {
-                        neighborhoodScores[neighborhood] = {};
-                        neighborhoodAmenities[neighborhood] = {};
-                    }
-                    if (!neighborhoodScores[neighborhood][amenityType]) {
-                        neighborhoodScores[neighborhood][amenityType] = 0;
-                        neighborhoodAmenities[neighborhood][amenityType] = [];
-                    }
-                    neighborhoodScores[neighborhood][amenityType]++;
-                    neighborhoodAmenities[neighborhood][amenityType].push(amenity);
-                }
-            }
-        } catch (error) {
-            console.error(`⚠️ Error processing ${amenityType}: ${error.message}`);
+        if (!neighborhood || (!city && !placeId)) {
+            return res.status(400).json({ error: 'Neighborhood and city are required' });
         }
-    }
-
-    // Calculate overall scores for neighborhoods
-    const scoredNeighborhoods = Object.entries(neighborhoodScores).map(([neighborhood, amenityCount]) => {
-        // Score based on total amenities and variety
-        const totalAmenities = Object.values(amenityCount).reduce((a, b) => a + b, 0);
-        const amenityTypes = Object.keys(amenityCount).length;
-        const score = totalAmenities + (amenityTypes * 5); // Bonus for variety
-
-        return {
-            neighborhood,
-            amenityScore: score,
-            amenityCounts: amenityCount,
-            totalAmenities: totalAmenities,
-            amenityTypes: amenityTypes,
-        };
-    }).sort((a, b) => b.amenityScore - a.amenityScore);
-
-    console.log(`✅ Identified ${scoredNeighborhoods.length} neighborhoods with amenities`);
-    scoredNeighborhoods.slice(0, 5).forEach((n, i) => {
-        console.log(`  ${i + 1}. ${n.neighborhood}: ${n.totalAmenities} amenities (${n.amenityTypes} types)`);
-    });
-
-    return { scoredNeighborhoods, neighborhoodAmenities };
-}
-
-// Function to verify neighborhood amenities using Google Maps
-async function verifyNeighborhoodAmenities(neighborhood, city, preferences) {
-    console.log(`\n🗺️  VERIFYING AMENITIES FOR: ${neighborhood}, ${city}`);
-
-    try {
-        // Parse preferences to find amenity types
-        const amenityKeywords = {
-            gym: ['gym', 'fitness', 'crunch', 'planet fitness', 'la fitness', 'peloton'],
-            grocery: ['grocery', 'supermarket', 'whole foods', 'trader joe', 'safeway'],
-            transit: ['transit', 'metro', 'muni', 'bart', 'bus', 'public transportation'],
-        };
-
-        const foundAmenities = {};
-
-        // Check for each amenity type
-        for (const [type, keywords] of Object.entries(amenityKeywords)) {
-            const preferencesLower = preferences.toLowerCase();
-            if (keywords.some(kw => preferencesLower.includes(kw))) {
-                try {
-                    const response = await mapsClient.placesNearby({
-                        params: {
-                            location: { lat: 37.7749, lng: -122.4194 }, // Default to SF, will be improved
-                            radius: 3000, // 3km radius
-                            keyword: type,
-                            key: process.env.GOOGLE_MAPS_API_KEY,
-                        },
-                    });
-
-                    const nearbyPlaces = response.data.results || [];
-                    foundAmenities[type] = nearbyPlaces.length > 0;
-                    console.log(`  ✅ Found ${nearbyPlaces.length} ${type} locations nearby`);
-                } catch (error) {
-                    console.error(`  ⚠️  Could not verify ${type}:`, error.message);
-                    foundAmenities[type] = null; // Null means unverified
-                }
-            }
+        if (typeof radius !== 'number' || radius <= 0 || radius > 5000) {
+            return res.status(400).json({ error: 'Radius must be a number of meters between 1 and 5000' });
         }
-
-        return foundAmenities;
-    } catch (error) {
-        console.error(`❌ Error verifying amenities:`, error.message);
-        return {};
-    }
-}
-
-// Function to filter posts by relevance
-async function filterRelevantPosts(posts, preferences) {
-    console.log('\n🔍 FILTERING POSTS FOR RELEVANCE');
-    console.log(`Filtering ${posts.length} posts...\n`);
-
-    const filterPrompt = `Given these user preferences: "${preferences}"
-
-Analyze EACH of these Reddit posts. For each post, answer:
-1. Is this post relevant to finding neighborhoods based on the preferences?
-2. Does it discuss the city's neighborhoods, living conditions, or specific areas?
-
-Posts to analyze:
-${posts.map((p, i) => `POST ${i + 1}: ${p}`).join('\n\n---\n\n')}
-
-Return as JSON array with one object per post:
-[
-  { "postIndex": 1, "isRelevant": true/false, "reason": "brief reason" },
-  ...
-]`;
-
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: filterPrompt }],
-        temperature: 0.5,
-    });
-
-    let filterText = response.choices[0].message.content;
-    filterText = filterText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-    let relevanceScores = [];
-    try {
-        relevanceScores = JSON.parse(filterText);
-    } catch (e) {
-        console.warn('Could not parse filter response, keeping all posts');
-        return posts;
-    }
-
-    const relevantPosts = posts.filter((_, i) => {
-        const score = relevanceScores.find(s => s.postIndex === i + 1);
-        if (score && score.isRelevant) {
-            console.log(`  ✅ Post ${i + 1}: Relevant - ${score.reason}`);
-            return true;
-        } else {
-            console.log(`  ❌ Post ${i + 1}: Skipped - ${score?.reason || 'Not relevant'}`);
-            return false;
+        const unknownTypes = (amenityTypes || []).filter(type => !AMENITY_TYPES[type]);
+        if (unknownTypes.length > 0) {
+            return res.status(400).json({ error: `Unknown amenity types: ${unknownTypes.join(', ')}` });
         }
-    });
 
-    console.log(`\n✅ Kept ${relevantPosts.length}/${posts.length} relevant posts\n`);
-    return relevantPosts;
-}
+        // Resolved like a search's city: an ambiguous name is a 409 with the candidates
+        const location = await requireLocation(city, placeId);
+        const result = await verifyNeighborhoodAmenities(neighborhood, location, {
+            radius,
+            amenityTypes: amenityTypes && amenityTypes.length > 0 ? amenityTypes : Object.keys(AMENITY_TYPES),
+        });
 
-// Reddit scraping function - searches specific subreddits
-async function scrapeReddit(queries, city = null, subreddits = null) {
-    const posts = [];
-    console.log('\n📡 REDDIT SCRAPING STARTING');
-    console.log(`Attempting to scrape ${queries.length} queries...\n`);
-
-    // Use provided subreddits or dynamically discover them
-    let searchSubreddits = subreddits;
-    if (!searchSubreddits && city) {
-        searchSubreddits = await discoverSubreddits(city);
-    }
-    if (!searchSubreddits) {
-        searchSubreddits = ['AskReddit'];
-    }
-
-    console.log(`Searching in subreddits: ${searchSubreddits.join(', ')}\n`);
-
-    for (const query of queries) {
-        try {
-            console.log(`  ⏳ Scraping: "${query}"`);
-
-            // Build search URL with subreddit restrictions
-            const subredditFilter = searchSubreddits.map(s => `subreddit:${s}`).join(' OR ');
-            const fullQuery = `${query} ${subredditFilter}`;
-
-            const url = `https://www.reddit.com/search.json?q=${encodeURIComponent(fullQuery)}&type=post&sort=relevance&t=all&limit=10`;
-
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                },
-                timeout: 10000
-            });
-
-            if (response.data && response.data.data && response.data.data.children) {
-                let foundCount = 0;
-                response.data.data.children.forEach((child) => {
-                    const post = child.data;
-                    if (post.title && post.selftext) {
-                        // Get title and post content
-                        const content = `Title: ${post.title}\nContent: ${post.selftext.substring(0, 300)}\nSubreddit: r/${post.subreddit}`;
-                        posts.push(content);
-                        foundCount++;
-                    }
-                });
-                console.log(`  ✅ Found ${foundCount} posts for "${query}"\n`);
-            }
-        } catch (error) {
-            console.error(`  ❌ Error scraping query "${query}": ${error.message}\n`);
+        if (!result) {
+            return res.status(404).json({ error: `Could not locate ${neighborhood} in ${location.label}` });
         }
+        res.json(result);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        res.status(error.status || 500).json({ error: error.message, candidates: error.candidates });
     }
-
-    console.log(`📊 Total posts scraped: ${posts.length}\n`);
-    return posts;
-}
-
-// Test endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'Server is running' });
 });
 
 // Test Reddit scraping endpoint
@@ -590,27 +150,7 @@ app.post('/api/debug-recommendations', async (req, res) => {
         console.log(`Preferences: ${preferences}\n`);
 
         // Step 1: Parse preferences
-        const parsingPrompt = `The user wants to stay in ${city} with these preferences: "${preferences}"
-
-Extract the key preferences and suggest NEIGHBORHOOD-FOCUSED Reddit search queries.
-Focus on finding neighborhood recommendations, living conditions, and area-specific discussions.
-Avoid queries that are too specific about brands or services.
-
-Return as JSON with this format:
-{
-  "preferences": ["preference1", "preference2", ...],
-  "redditQueries": ["search query 1 (neighborhood focused)", "search query 2 (neighborhood focused)", ...]
-}`;
-
-        const parsingResponse = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [{ role: 'user', content: parsingPrompt }],
-            temperature: 0.7,
-        });
-
-        let parsingText = parsingResponse.choices[0].message.content;
-        parsingText = parsingText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        const parsedData = JSON.parse(parsingText);
+        const parsedData = await llm.runTask('parsePreferences', { city, preferences });
 
         console.log('✅ Parsed preferences:', parsedData);
 
@@ -650,330 +190,362 @@ Return as JSON with this format:
 });
 
 // Main recommendations endpoint - AMENITY-FIRST APPROACH
+// With a profileId, missing parameters come from the profile's defaults and the
+// result is saved to its history. With `cities` or `metro` instead of `city`,
+// several cities are searched and ranked together. A city name matching several
+// places fails with 409 and the `candidates` to pick a placeId from.
 app.post('/api/recommendations', async (req, res) => {
     try {
-        const { city, preferences } = req.body;
-
-        console.log('\n🚀 NEW REQUEST RECEIVED');
-        console.log(`📍 City: ${city}`);
-        console.log(`💭 User preferences: ${preferences}\n`);
-
-        if (!city || !preferences) {
-            return res.status(400).json({ error: 'City and preferences are required' });
+        const { city, placeId, cities, metro, preferences, weights, anchors, coverage, profileId } = req.body;
+        if ((cities !== undefined || metro !== undefined) && (city || placeId || profileId)) {
+            return res.status(400).json({ error: 'cities and metro can\'t be combined with city, placeId or profileId' });
         }
-
-        // Step 1: Extract amenity types and specific brands/names
-        console.log('🤖 STEP 1: Parsing preferences...');
-        const amenityExtractionPrompt = `From these user preferences: "${preferences}"
-
-Extract both:
-1. The TYPES of amenities (gym, grocery, etc.)
-2. The SPECIFIC BRANDS/NAMES if mentioned (e.g., "Crunch Fitness", "Whole Foods", "BART")
-
-Return as JSON:
-{
-  "amenities": [
-    {
-      "type": "gym",
-      "specificNames": ["Crunch Fitness", "Planet Fitness"]
-    },
-    {
-      "type": "grocery_or_supermarket",
-      "specificNames": ["Whole Foods"]
-    }
-  ]
-}
-
-Type mappings:
-- gym/fitness/crunch/peloton/la fitness -> "gym"
-- grocery/supermarket/whole foods/trader joe -> "grocery_or_supermarket"
-- transit/metro/muni/bart/bus -> "transit_station"
-- restaurant/food/cafe/coffee -> "restaurant"
-- park/outdoor/nature -> "park"
-- hospital/doctor/medical -> "hospital"
-- library -> "library"
-- school -> "school"
-- shopping/mall -> "shopping_mall"
-- pharmacy -> "pharmacy"
-
-Only include amenities they actually mentioned or implied.
-If no specific names mentioned, use empty array for specificNames.`;
-
-        const amenityResponse = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [{ role: 'user', content: amenityExtractionPrompt }],
-            temperature: 0.5,
+        const response = await runForRequest(res, async () => {
+            if (cities !== undefined || metro !== undefined) {
+                return runMultiCitySearch({ cities, metro, preferences, weights, anchors, coverage });
+            }
+            if (profileId) {
+                const { historyId, result } = await runProfileSearch(profileId, { city, placeId, preferences, weights, anchors, coverage });
+                return { ...result, historyId };
+            }
+            return runRecommendationPipeline({ city, placeId, preferences, weights, anchors, coverage });
         });
 
-        let amenityText = amenityResponse.choices[0].message.content;
-        amenityText = amenityText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-        let amenitiesNeeded = [];
-        let specificBrands = {};
-        try {
-            const parsed = JSON.parse(amenityText);
-            amenitiesNeeded = parsed.amenities.map(a => a.type);
-            parsed.amenities.forEach(a => {
-                specificBrands[a.type] = a.specificNames || [];
-            });
-        } catch (e) {
-            console.warn('Could not parse amenities, using defaults');
-            amenitiesNeeded = ['gym', 'grocery_or_supermarket'];
-        }
-
-        console.log(`Extracted amenities: ${amenitiesNeeded.join(', ') || 'None (qualitative search)'}`);
-        if (Object.keys(specificBrands).length > 0) {
-            console.log(`Specific brands: ${JSON.stringify(specificBrands)}`);
-        }
-
-        // Step 2: Score neighborhoods based on amenity clusters (if amenities specified)
-        let scoredNeighborhoods = [];
-        let neighborhoodAmenities = {};
+        console.log(`\n📤 Sending response to client...\n`);
+        res.json(response);
+    } catch (error) {
+        console.error('❌ ERROR:', error.message);
+        res.status(error.status || 500).json({ error: error.message, candidates: error.candidates });
+    }
+});
 
-        if (amenitiesNeeded.length > 0) {
-            const result = await scoreNeighborhoodsByAmenities(city, amenitiesNeeded, specificBrands);
-            scoredNeighborhoods = result.scoredNeighborhoods;
-            neighborhoodAmenities = result.neighborhoodAmenities;
+// Side-by-side comparison of neighborhoods the user already has in mind
+app.post('/api/compare', async (req, res) => {
+    try {
+        const { city, placeId, neighborhoods, preferences, coverage } = req.body;
+        const result = await runForRequest(res, () => compareNeighborhoods({ city, placeId, neighborhoods, preferences, coverage }));
+        res.json(result);
+    } catch (error) {
+        console.error('❌ ERROR:', error.message);
+        res.status(error.status || 500).json({ error: error.message, candidates: error.candidates });
+    }
+});
 
-            if (scoredNeighborhoods.length === 0) {
-                return res.status(400).json({ error: `No neighborhoods found with requested amenities in ${city}` });
+// Streaming variant of /api/recommendations: the same pipeline, reported step by
+// step as Server-Sent Events. Accepts the JSON body via POST, or city/preferences
+// (and JSON-encoded weights/anchors/cities) as query parameters via GET for EventSource clients.
+async function streamRecommendations(req, res) {
+    const params = { ...(req.method === 'GET' ? req.query : req.body) };
+    for (const key of ['weights', 'anchors', 'cities']) {
+        if (typeof params[key] === 'string') {
+            try {
+                params[key] = JSON.parse(params[key]);
+            } catch {
+                return res.status(400).json({ error: `${key} must be JSON` });
             }
-        } else {
-            // No amenities specified - use Reddit data to identify neighborhoods
-            console.log('🏘️  NO AMENITIES SPECIFIED - USING REDDIT DATA TO FIND NEIGHBORHOODS...');
-
-            // Extract neighborhood names mentioned in Reddit posts
-            const neighborhoodExtractionPrompt = `From these Reddit posts about ${city}, extract the names of neighborhoods/areas mentioned:
-
-${redditData}
-
-Return as JSON array of neighborhood names: ["neighborhood1", "neighborhood2", ...]
-Only include specific neighborhood names, not generic terms.`;
+        }
+    }
 
-            const neighborhoodExtractionResponse = await openai.chat.completions.create({
-                model: 'gpt-4',
-                messages: [{ role: 'user', content: neighborhoodExtractionPrompt }],
-                temperature: 0.5,
-            });
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
 
-            let neighborhoodText = neighborhoodExtractionResponse.choices[0].message.content;
-            neighborhoodText = neighborhoodText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
 
-            try {
-                const mentionedNeighborhoods = JSON.parse(neighborhoodText);
-                scoredNeighborhoods = mentionedNeighborhoods.map(n => ({
-                    neighborhood: n,
-                    totalAmenities: 0,
-                    amenityCounts: {},
-                    amenityScore: 0
-                }));
-            } catch (e) {
-                console.warn('Could not extract neighborhoods from Reddit');
-                scoredNeighborhoods = [{ neighborhood: 'Downtown', totalAmenities: 0, amenityCounts: {}, amenityScore: 0 }];
-            }
-        }
+    let eventId = 0;
+    const send = (type, data) => {
+        if (closed) return;
+        res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-        // Step 3: Get qualitative preferences from Reddit for filtering
-        console.log('\n📡 STEP 2: Getting qualitative preferences from Reddit...');
-        const qualitativePrompt = `The user wants to stay in ${city} with these preferences: "${preferences}"
+    // Comment lines keep proxies from timing out the connection between steps
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': heartbeat\n\n');
+    }, 15000);
 
-Generate Reddit search queries focused on QUALITATIVE aspects (quiet, clean, safe, etc).
-Ignore amenity-specific queries - those are handled separately.
+    try {
+        const { city, placeId, cities, metro, preferences, weights, anchors, coverage } = params;
+        const result = await runForRequest(res, () => (cities !== undefined || metro !== undefined
+            ? runMultiCitySearch({ cities, metro, preferences, weights, anchors, coverage }, { onEvent: send })
+            : runRecommendationPipeline({ city, placeId, preferences, weights, anchors, coverage }, { onEvent: send })));
+        send('result', result);
+    } catch (error) {
+        console.error('❌ ERROR:', error.message);
+        send('error', { error: error.message, status: error.status || 500, candidates: error.candidates });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+}
 
-Return as JSON array like: ["quiet neighborhoods ${city}", "safest neighborhoods ${city}"]`;
+app.post('/api/recommendations/stream', streamRecommendations);
+app.get('/api/recommendations/stream', streamRecommendations);
 
-        const qualitativeResponse = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [{ role: 'user', content: qualitativePrompt }],
-            temperature: 0.7,
-        });
+// Start a recommendation search in the background and return its job ID right away
+app.post('/api/searches', (req, res) => {
+    const { city, placeId, preferences, weights, anchors, coverage } = req.body;
 
-        let qualText = qualitativeResponse.choices[0].message.content;
-        qualText = qualText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        let redditQueries = [];
-        try {
-            redditQueries = JSON.parse(qualText);
-        } catch (e) {
-            redditQueries = [`neighborhoods in ${city}`, `best places to live in ${city}`];
-        }
+    if ((!city && !placeId) || !preferences) {
+        return res.status(400).json({ error: 'City and preferences are required' });
+    }
+    const lengthError = checkInputLength(preferences, 'Preferences');
+    if (lengthError) {
+        return res.status(400).json({ error: lengthError });
+    }
 
-        // Scrape Reddit for qualitative data
-        const redditPosts = await scrapeReddit(redditQueries, city);
-        const filteredPosts = redditPosts.length > 0
-            ? await filterRelevantPosts(redditPosts, preferences)
-            : [];
+    const job = searchQueue.submit({ city, placeId, preferences, weights, anchors, coverage });
+    res.status(202)
+        .location(`/api/searches/${job.id}`)
+        .json(searchQueue.toJSON(job));
+});
 
-        const redditData = filteredPosts.length > 0
-            ? filteredPosts.join('\n')
-            : `Limited Reddit posts found.`;
+// Poll a search: status, current step and, once completed, the full result
+app.get('/api/searches/:id', (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search not found' });
+    }
+    res.json(searchQueue.toJSON(job));
+});
 
-        // Step 4: Use OpenAI to score qualitative match for top neighborhoods
-        console.log('\n🤖 STEP 3: Scoring neighborhoods by qualitative preferences...');
-        const topNeighborhoods = scoredNeighborhoods.slice(0, 5).map(n => n.neighborhood).join('", "');
+// Refine a completed search with a natural-language follow-up ("like #2 but
+// quieter"). Runs as a new search that reuses the steps the follow-up doesn't change.
+app.post('/api/searches/:id/refine', (req, res) => {
+    const parent = searchQueue.get(req.params.id);
+    if (!parent) {
+        return res.status(404).json({ error: 'Search not found' });
+    }
+    if (parent.status !== 'completed') {
+        return res.status(409).json({ error: `Only completed searches can be refined (this one is ${parent.status})` });
+    }
 
-        const qualitativeScoringPrompt = `Based on Reddit discussions about ${city} neighborhoods and the user's preferences (${preferences}),
-score these neighborhoods on qualitative match (0-1):
+    const { message, weights, anchors } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({ error: 'message is required' });
+    }
+    const lengthError = checkInputLength(message, 'message');
+    if (lengthError) {
+        return res.status(400).json({ error: lengthError });
+    }
 
-Neighborhoods to score: "${topNeighborhoods}"
+    const job = searchQueue.refine(parent, { message: message.trim(), weights, anchors });
+    res.status(202)
+        .location(`/api/searches/${job.id}`)
+        .json(searchQueue.toJSON(job));
+});
 
-Reddit data:
-${redditData}
+// Function to send a finished search result as a GeoJSON, KML or CSV download
+function sendExport(res, result, format, id) {
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const { contentType, filename, body } = exportResult(result, format, id);
+    res.type(contentType).attachment(filename).send(body);
+}
 
-Return as JSON object: { "neighborhoodName": 0.85, ... }
-Consider factors like: quiet, clean, safe, friendly, walkable, etc.
-Use values between 0 and 1.`;
+// Export a completed search's recommendations, amenities and neighborhood shapes
+// (?format=geojson|kml|csv, default geojson)
+app.get('/api/searches/:id/export', (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Only completed searches can be exported (this one is ${job.status})` });
+    }
+    sendExport(res, job.result, req.query.format || 'geojson', job.id);
+});
 
-        const scoringResponse = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [{ role: 'user', content: qualitativeScoringPrompt }],
-            temperature: 0.7,
-        });
+// Standalone HTML report of a completed search (ranking, reasons, cited posts and
+// an inline SVG map) that can be saved and shared
+app.get('/api/searches/:id/report', (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Only completed searches have a report (this one is ${job.status})` });
+    }
+    res.type('html').send(renderReport(job.result, { generatedAt: job.finishedAt }));
+});
 
-        let scoringText = scoringResponse.choices[0].message.content;
-        scoringText = scoringText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        let qualitativeScores = {};
-        try {
-            qualitativeScores = JSON.parse(scoringText);
-        } catch (e) {
-            console.warn('Could not parse qualitative scores');
-        }
+// Cancel a queued or running search, aborting its in-flight external calls
+app.delete('/api/searches/:id', (req, res) => {
+    const job = searchQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Search not found' });
+    }
+    if (!searchQueue.cancel(job.id)) {
+        return res.status(409).json({ error: `Search already ${job.status}` });
+    }
+    res.json(searchQueue.toJSON(job));
+});
 
-        // Ask OpenAI to identify specific concerns for top neighborhoods
-        console.log('\n⚠️ STEP 4: Identifying concerns for neighborhoods...');
-        const neighborhoodsForConcerns = scoredNeighborhoods.slice(0, 5).map(n => n.neighborhood).join('", "');
+// User profiles: a name plus default search parameters
+app.post('/api/profiles', (req, res) => {
+    try {
+        const profile = getStore().createProfile(validateProfile(req.body));
+        res.status(201).location(`/api/profiles/${profile.id}`).json(profile);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        const concernsPrompt = `Based on Reddit discussions about ${city} neighborhoods and the user's preferences (${preferences}),
-identify specific concerns or potential downsides for these neighborhoods: "${neighborhoodsForConcerns}"
+app.get('/api/profiles', (req, res) => {
+    try {
+        res.json({ profiles: getStore().listProfiles() });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-Reddit data:
-${redditData}
+app.get('/api/profiles/:id', (req, res) => {
+    try {
+        res.json(requireProfile(req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-For each neighborhood, list 1-2 legitimate concerns (e.g., high rent, parking issues, long commute, noise, safety concerns, lack of public transit, etc.)
+app.patch('/api/profiles/:id', (req, res) => {
+    try {
+        res.json(updateProfile(req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-Return as JSON object: { "neighborhoodName": ["concern1", "concern2"], ... }
-Only include concerns mentioned in Reddit or that are realistic for the area.
-Return empty array if no concerns found.`;
+// Deleting a profile also deletes its saved searches and history
+app.delete('/api/profiles/:id', (req, res) => {
+    try {
+        if (!getStore().deleteProfile(req.params.id)) throw new ProfileError('Profile not found', 404);
+        res.status(204).end();
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        const concernsResponse = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [{ role: 'user', content: concernsPrompt }],
-            temperature: 0.7,
-        });
+// Saved searches belong to a profile and can be re-run later
+app.get('/api/profiles/:id/saved-searches', (req, res) => {
+    try {
+        const profile = requireProfile(req.params.id);
+        res.json({ savedSearches: getStore().listSavedSearches(profile.id) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        let concernsText = concernsResponse.choices[0].message.content;
-        concernsText = concernsText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        let concernsMap = {};
-        try {
-            concernsMap = JSON.parse(concernsText);
-            console.log(`✅ Extracted concerns: ${JSON.stringify(concernsMap)}`);
-        } catch (e) {
-            console.warn('Could not parse concerns:', e.message);
-        }
+app.post('/api/profiles/:id/saved-searches', (req, res) => {
+    try {
+        const savedSearch = createSavedSearch(req.params.id, req.body);
+        res.status(201).location(`/api/saved-searches/${savedSearch.id}`).json(savedSearch);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Generate fallback concerns if not found or empty
-        scoredNeighborhoods.slice(0, 5).forEach(n => {
-            if (!concernsMap[n.neighborhood] || concernsMap[n.neighborhood].length === 0) {
-                const concerns = [];
-
-                // Generate contextual concerns based on neighborhood data
-                if (n.totalAmenities < 5) {
-                    concerns.push('Limited number of requested amenities nearby');
-                }
-                if (n.amenityTypes < amenitiesNeeded.length) {
-                    concerns.push('Not all requested amenity types available in this neighborhood');
-                }
-                if (redditPosts.length === 0) {
-                    concerns.push('Limited community feedback available');
-                }
-
-                // If no concerns generated, add a neutral one
-                if (concerns.length === 0) {
-                    concerns.push('Research more on community forums and local resources');
-                }
-
-                concernsMap[n.neighborhood] = concerns;
-            }
-        });
+app.get('/api/saved-searches/:id', (req, res) => {
+    try {
+        const savedSearch = getStore().getSavedSearch(req.params.id);
+        if (!savedSearch) throw new ProfileError('Saved search not found', 404);
+        res.json(savedSearch);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Return ranked recommendations (order itself indicates quality)
-        const recommendations = {
-            recommendations: scoredNeighborhoods.slice(0, 5).map(n => {
-                const reasons = [];
-                if (n.totalAmenities > 0) {
-                    reasons.push(`${n.totalAmenities} ${amenitiesNeeded.length > 1 ? 'amenities' : 'amenity'} nearby`);
-                }
-                if (Object.keys(n.amenityCounts).length > 0) {
-                    reasons.push(`${Object.keys(n.amenityCounts).length} types of amenities`);
-                }
-                if (redditPosts.length > 0) {
-                    reasons.push('Well-reviewed on community forums');
-                }
-
-                return {
-                    neighborhood: n.neighborhood,
-                    matchReasons: reasons.length > 0 ? reasons : ['Strong neighborhood match'],
-                    concerns: concernsMap[n.neighborhood] || [],
-                    amenityBreakdown: n.amenityCounts
-                };
-            })
-        };
-
-        console.log('✅ Recommendations generated:');
-        recommendations.recommendations.forEach((rec, i) => {
-            console.log(`   ${i + 1}. ${rec.neighborhood} (Match: ${(rec.matchScore * 100).toFixed(0)}%)`);
-        });
+app.patch('/api/saved-searches/:id', (req, res) => {
+    try {
+        res.json(updateSavedSearch(req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Get city coordinates
-        console.log('\n📍 GETTING MAP DATA...');
-        const cityCoords = await getCityCoordinates(city);
-        console.log(`City coordinates: ${cityCoords?.lat}, ${cityCoords?.lng}`);
+app.delete('/api/saved-searches/:id', (req, res) => {
+    try {
+        if (!getStore().deleteSavedSearch(req.params.id)) throw new ProfileError('Saved search not found', 404);
+        res.status(204).end();
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        const mapData = {
-            cityCoordinates: cityCoords,
-            amenities: {},
-            neighborhoodAmenities: {},
-        };
+// Re-run a saved search, record it in history and diff the ranking against the last run
+app.post('/api/saved-searches/:id/run', async (req, res) => {
+    try {
+        res.json(await runForRequest(res, () => runSavedSearch(req.params.id)));
+    } catch (error) {
+        console.error('❌ ERROR:', error.message);
+        res.status(error.status || 500).json({ error: error.message, candidates: error.candidates });
+    }
+});
 
-        // Get full amenity coordinates for map display (with brand filtering if specified)
-        for (const amenityType of amenitiesNeeded) {
-            try {
-                const brandNames = specificBrands[amenityType] || [];
-                const amenityCoords = await getAmenityCoordinates(city, amenityType, 10, brandNames);
-                mapData.amenities[amenityType] = amenityCoords;
-                console.log(`✅ Found ${amenityCoords.length} ${amenityType} locations for display${brandNames.length > 0 ? ` (filtered)` : ''}`);
-            } catch (error) {
-                console.error(`⚠️ Error getting ${amenityType}: ${error.message}`);
-                mapData.amenities[amenityType] = [];
-            }
+// A profile's past results, newest first (without the full result; fetch an entry for that)
+app.get('/api/profiles/:id/history', (req, res) => {
+    try {
+        const profile = requireProfile(req.params.id);
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+            throw new ProfileError('limit must be an integer from 1 to 500');
         }
+        const history = getStore().listHistory(profile.id, { savedSearchId: req.query.savedSearchId || null, limit });
+        res.json({ history });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Add neighborhood-specific amenities
-        recommendations.recommendations.forEach(rec => {
-            mapData.neighborhoodAmenities[rec.neighborhood] = {};
-            for (const amenityType of amenitiesNeeded) {
-                if (neighborhoodAmenities[rec.neighborhood] && neighborhoodAmenities[rec.neighborhood][amenityType]) {
-                    mapData.neighborhoodAmenities[rec.neighborhood][amenityType] =
-                        neighborhoodAmenities[rec.neighborhood][amenityType].slice(0, 5);
-                } else {
-                    mapData.neighborhoodAmenities[rec.neighborhood][amenityType] = [];
-                }
-            }
-        });
+app.get('/api/history/:id', (req, res) => {
+    try {
+        const entry = getStore().getHistoryEntry(req.params.id);
+        if (!entry) throw new ProfileError('History entry not found', 404);
+        res.json(entry);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        console.log(`\n📤 Sending response to client...\n`);
+// Export a saved history entry's result, as for /api/searches/:id/export
+app.get('/api/history/:id/export', (req, res) => {
+    try {
+        const entry = getStore().getHistoryEntry(req.params.id);
+        if (!entry) throw new ProfileError('History entry not found', 404);
+        sendExport(res, entry.result, req.query.format || 'geojson', entry.id);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        res.json({
-            city,
-            userPreferences: preferences,
-            recommendations,
-            mapData,
-        });
+// HTML report of a saved history entry's result, as for /api/searches/:id/report
+app.get('/api/history/:id/report', (req, res) => {
+    try {
+        const entry = getStore().getHistoryEntry(req.params.id);
+        if (!entry) throw new ProfileError('History entry not found', 404);
+        res.type('html').send(renderReport(entry.result, { generatedAt: new Date(entry.createdAt) }));
     } catch (error) {
-        console.error('❌ ERROR:', error.message);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
+app.delete('/api/history/:id', (req, res) => {
+    try {
+        if (!getStore().deleteHistoryEntry(req.params.id)) throw new ProfileError('History entry not found', 404);
+        res.status(204).end();
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Exit cleanly on signals so pending cache writes are flushed by 'exit' handlers
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+
 app.listen(port, () => {
     console.log(`🚀 Neighborhood Finder API running on port ${port}`);
 });
@@ -0,0 +1,370 @@
+const config = require('../config');
+const { geo } = require('./clients');
+const { loadBoundaries, findNeighborhood, findBoundaryByName } = require('./geo/boundaries');
+const { haversineDistance, boxContains, expandBox, tileBox } = require('./geo/geometry');
+const { AMENITY_TYPES } = require('./amenityTypes');
+const { throwIfAborted } = require('./requestContext');
+
+// Amenity search areas; see getSearchArea
+const COVERAGE_OPTIONS = ['city', 'metro'];
+// Search radius around the city center when the location has no bounds or viewport
+const FALLBACK_RADIUS = 8000;
+// Result pages followed per search circle (the Places API serves at most 3 x 20)
+const MAX_PAGES = 3;
+
+// Function to work out where to search for a resolved location's amenities
+// (see services/locations.js): { center, box, circles: [{ location, radius }], coverage }
+//
+// The location's bounds (or viewport) are the "city" area; "metro" widens them by
+// config.places.metroMarginKm. The box is tiled with overlapping circles. Without
+// bounds, the search is one FALLBACK_RADIUS circle around the center.
+function getSearchArea(location, coverage = config.places.coverage) {
+    const center = location.location;
+    const extent = location.bounds;
+    if (!center) return null;
+    if (!extent) {
+        return { center, box: null, circles: [{ location: center, radius: FALLBACK_RADIUS }], coverage };
+    }
+
+    let box = {
+        minLat: extent.southwest.lat,
+        maxLat: extent.northeast.lat,
+        minLng: extent.southwest.lng,
+        maxLng: extent.northeast.lng,
+    };
+    if (coverage === 'metro') {
+        box = expandBox(box, config.places.metroMarginKm);
+    }
+    const circles = tileBox(box, { radius: config.places.tileRadiusMeters, maxTiles: config.places.maxTiles });
+    return { center, box, circles, coverage };
+}
+
+function placeKey(place) {
+    return place.placeId || `${place.name}@${place.location.lat},${place.location.lng}`;
+}
+
+// Function to search every tile of an area, keeping places inside its box once
+// each (by place ID). Each tile follows up to MAX_PAGES pages of results. Tiles
+// are searched concurrently; the Maps limiter paces the requests.
+async function searchArea(area, { type, keyword }) {
+    const tiles = await Promise.all(area.circles.map(async circle => {
+        const results = [];
+        let pageToken = null;
+        try {
+            for (let page = 0; page < MAX_PAGES; page++) {
+                const response = await geo.placesNearby({ location: circle.location, radius: circle.radius, type, keyword, pageToken });
+                results.push(...response.results);
+                pageToken = response.nextPageToken;
+                if (!pageToken) break;
+            }
+        } catch (error) {
+            throwIfAborted();
+            pageToken = null;
+            console.error(`Error searching tile at ${circle.location.lat.toFixed(4)},${circle.location.lng.toFixed(4)}: ${error.message}`);
+        }
+        return { results, saturated: Boolean(pageToken) };
+    }));
+
+    // Merged in tile order, so the result doesn't depend on which tile answered first
+    const places = new Map();
+    for (const { results } of tiles) {
+        for (const place of results) {
+            const key = placeKey(place);
+            if (!places.has(key) && (!area.box || boxContains(area.box, place.location))) {
+                places.set(key, place);
+            }
+        }
+    }
+
+    const saturated = tiles.filter(tile => tile.saturated).length;
+    if (saturated > 0) {
+        console.warn(`    ⚠️ ${saturated} of ${area.circles.length} tiles hit the ${MAX_PAGES}-page limit; a smaller PLACES_TILE_RADIUS_M would find more`);
+    }
+    return [...places.values()];
+}
+
+// Function to check a place name against a specific brand. Requires the FIRST
+// word of the brand name near the start of the place name, so "Crunch Fitness"
+// matches "Crunch Fitness San Francisco" but NOT "24 Hour Fitness".
+function matchesBrand(placeName, brandName) {
+    const name = placeName.toLowerCase();
+    const brandWords = brandName.toLowerCase().split(/\s+/).filter(p => p.length > 2);
+    if (brandWords.length === 0) return false;
+    const firstWord = brandWords[0];
+    return name.includes(firstWord) &&
+           (name.indexOf(firstWord) === 0 ||
+            name.substring(0, 20).includes(firstWord)) &&
+           !name.includes('google') &&
+           !name.includes('test');
+}
+
+// Function to get ALL amenity coordinates in a location, searching the whole area tile by tile
+async function getAllAmenityCoordinates(location, amenityType, specificNames = [], { coverage } = {}) {
+    try {
+        const area = getSearchArea(location, coverage);
+        if (!area) return [];
+        console.log(`    Searching ${area.circles.length} tile${area.circles.length === 1 ? '' : 's'} (${area.coverage} coverage)`);
+
+        let allPlaces = [];
+
+        // If specific brand names are provided, search for those specifically
+        if (specificNames.length > 0) {
+            const brandResults = await Promise.all(specificNames.map(async brandName => {
+                console.log(`    Searching for: ${brandName}`);
+                return searchArea(area, { type: amenityType, keyword: brandName });
+            }));
+            const seen = new Set();
+            specificNames.forEach((brandName, i) => {
+                const results = brandResults[i];
+                // Strict filtering - only include results that match the brand name
+                const filtered = results.filter(place => matchesBrand(place.name, brandName) && !seen.has(placeKey(place)));
+                filtered.forEach(place => seen.add(placeKey(place)));
+                console.log(`    Found ${results.length} total results, filtered to ${filtered.length} matching ${brandName}`);
+                allPlaces.push(...filtered);
+            });
+        } else {
+            // Generic search by type only if no specific brand
+            allPlaces = await searchArea(area, { type: amenityType });
+        }
+
+        return allPlaces.map(place => ({
+            name: place.name,
+            lat: place.location.lat,
+            lng: place.location.lng,
+            type: amenityType,
+        }));
+    } catch (error) {
+        throwIfAborted();
+        console.error(`Error getting ${amenityType} coordinates: ${error.message}`);
+        return [];
+    }
+}
+
+// Function to get amenity coordinates in a location (limited, for display): the
+// `limit` closest to the city center from the full-area search
+async function getAmenityCoordinates(location, amenityType, limit = 5, specificNames = [], { coverage } = {}) {
+    const places = await getAllAmenityCoordinates(location, amenityType, specificNames, { coverage });
+    if (location.location) {
+        places.sort((a, b) => haversineDistance(location.location, a) - haversineDistance(location.location, b));
+    }
+    return places.slice(0, limit);
+}
+
+// Function to identify neighborhood from coordinates using reverse geocoding
+async function getNeighborhoodFromCoordinates(lat, lng) {
+    try {
+        const results = await geo.reverseGeocode({ lat, lng });
+
+        if (results.length > 0) {
+            // Look for neighborhood-level address component
+            const result = results[0];
+            const addressComponents = result.addressComponents;
+
+            // Try to find a neighborhood or locality
+            let neighborhood = null;
+            for (const component of addressComponents) {
+                if (component.types.includes('neighborhood')) {
+                    return component.long_name;
+                }
+            }
+            for (const component of addressComponents) {
+                if (component.types.includes('locality')) {
+                    return component.long_name;
+                }
+            }
+            // Fallback to first address component
+            return result.formattedAddress.split(',')[0];
+        }
+        return null;
+    } catch (error) {
+        console.error(`Error getting neighborhood: ${error.message}`);
+        return null;
+    }
+}
+
+// Function to cluster amenities by neighborhood and score neighborhoods
+async function scoreNeighborhoodsByAmenities(location, amenitiesNeeded, specificBrands = {}, { coverage } = {}) {
+    console.log('\n🏘️  SCORING NEIGHBORHOODS BY AMENITY CLUSTERS...');
+    const city = location.label;
+
+    const neighborhoodScores = {};
+    const neighborhoodAmenities = {};
+
+    // Prefer official boundary polygons; reverse geocoding is only the fallback
+    const boundaries = loadBoundaries(location);
+    console.log(`  🧭 Assigning neighborhoods by ${boundaries ? `boundary polygons (${boundaries.source})` : 'reverse geocoding'}`);
+
+    // For each amenity type, get all instances and their neighborhoods. Types
+    // (and the reverse geocodes) are looked up concurrently, then grouped in order.
+    const found = await Promise.all(amenitiesNeeded.map(async amenityType => {
+        try {
+            const brandNames = specificBrands[amenityType] || [];
+            console.log(`  📍 Finding all ${amenityType} in ${city}${brandNames.length > 0 ? ` (${brandNames.join(', ')})` : ''}...`);
+            const amenities = await getAllAmenityCoordinates(location, amenityType, brandNames, { coverage });
+            console.log(`  ✅ Found ${amenities.length} ${amenityType} locations`);
+
+            // Map each amenity to a neighborhood
+            const neighborhoods = await Promise.all(amenities.map(amenity => (boundaries
+                ? findNeighborhood(boundaries, amenity)?.name
+                : getNeighborhoodFromCoordinates(amenity.lat, amenity.lng))));
+            return { amenityType, amenities, neighborhoods };
+        } catch (error) {
+            throwIfAborted();
+            console.error(`⚠️ Error processing ${amenityType}: ${error.message}`);
+            return { amenityType, amenities: [], neighborhoods: [] };
+        }
+    }));
+
+    for (const { amenityType, amenities, neighborhoods } of found) {
+        amenities.forEach((amenity, i) => {
+            const neighborhood = neighborhoods[i];
+            if (!neighborhood) return;
+            if (!neighborhoodScores[neighborhood]) {
+                neighborhoodScores[neighborhood] = {};
+                neighborhoodAmenities[neighborhood] = {};
+            }
+            if (!neighborhoodScores[neighborhood][amenityType]) {
+                neighborhoodScores[neighborhood][amenityType] = 0;
+                neighborhoodAmenities[neighborhood][amenityType] = [];
+            }
+            neighborhoodScores[neighborhood][amenityType]++;
+            neighborhoodAmenities[neighborhood][amenityType].push(amenity);
+        });
+    }
+
+    // Calculate overall scores for neighborhoods
+    const scoredNeighborhoods = Object.entries(neighborhoodScores).map(([neighborhood, amenityCount]) => {
+        // Score based on total amenities and variety
+        const totalAmenities = Object.values(amenityCount).reduce((a, b) => a + b, 0);
+        const amenityTypes = Object.keys(amenityCount).length;
+        const score = totalAmenities + (amenityTypes * 5); // Bonus for variety
+
+        return {
+            neighborhood,
+            amenityScore: score,
+            amenityCounts: amenityCount,
+            totalAmenities: totalAmenities,
+            amenityTypes: amenityTypes,
+        };
+    }).sort((a, b) => b.amenityScore - a.amenityScore);
+
+    console.log(`✅ Identified ${scoredNeighborhoods.length} neighborhoods with amenities`);
+    scoredNeighborhoods.slice(0, 5).forEach((n, i) => {
+        console.log(`  ${i + 1}. ${n.neighborhood}: ${n.totalAmenities} amenities (${n.amenityTypes} types)`);
+    });
+
+    return { scoredNeighborhoods, neighborhoodAmenities, boundaries };
+}
+
+// Function to describe a neighborhood's shape for the map: its boundary polygon and
+// centroid when a boundary file exists, otherwise the centroid of its amenities
+function getNeighborhoodGeometry(neighborhood, boundaries, amenitiesByType = {}) {
+    const boundary = findBoundaryByName(boundaries, neighborhood);
+    if (boundary) {
+        return { source: 'boundary', centroid: boundary.centroid, polygon: boundary.geometry };
+    }
+
+    const points = Object.values(amenitiesByType).flat();
+    if (points.length === 0) {
+        return { source: 'none', centroid: null, polygon: null };
+    }
+    return {
+        source: 'amenities',
+        centroid: {
+            lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+            lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+        },
+        polygon: null,
+    };
+}
+
+// Function to find a neighborhood's center: its boundary centroid when a boundary
+// file exists, otherwise the geocoded "<neighborhood>, <city label>" location
+async function getNeighborhoodCenter(neighborhood, location) {
+    const boundary = findBoundaryByName(loadBoundaries(location), neighborhood);
+    if (boundary) {
+        return { location: boundary.centroid, source: 'boundary' };
+    }
+
+    try {
+        const results = await geo.geocode(`${neighborhood}, ${location.label}`);
+        if (results.length > 0) {
+            return { location: results[0].location, source: 'geocode' };
+        }
+    } catch (error) {
+        console.error(`Error geocoding ${neighborhood}: ${error.message}`);
+    }
+    return null;
+}
+
+// Function to verify a neighborhood's amenities with radius searches around its center.
+// For each amenity type returns the count within the radius and the nearest instance.
+// `location` is the resolved city (see services/locations.js).
+async function verifyNeighborhoodAmenities(neighborhood, location, { radius = 1000, amenityTypes = Object.keys(AMENITY_TYPES) } = {}) {
+    const city = location.label;
+    console.log(`\n🗺️  VERIFYING AMENITIES FOR: ${neighborhood}, ${city}`);
+
+    const center = await getNeighborhoodCenter(neighborhood, location);
+    if (!center) {
+        return null;
+    }
+    console.log(`  📍 Center (${center.source}): ${center.location.lat}, ${center.location.lng}`);
+
+    // Amenity types are checked concurrently (the Maps limiter paces the
+    // requests); the keys are set up front to keep them in the requested order
+    const amenities = Object.fromEntries(amenityTypes.map(amenityType => [amenityType, null]));
+    await Promise.all(amenityTypes.map(async amenityType => {
+        try {
+            const places = [];
+            let pageToken = null;
+            for (let page = 0; page < 3; page++) {
+                const response = await geo.placesNearby({ location: center.location, radius, type: amenityType, pageToken });
+                places.push(...response.results);
+                pageToken = response.nextPageToken;
+                if (!pageToken) break;
+            }
+
+            const withDistance = places
+                .map(place => ({
+                    name: place.name,
+                    lat: place.location.lat,
+                    lng: place.location.lng,
+                    distanceMeters: Math.round(haversineDistance(center.location, place.location)),
+                }))
+                .filter(place => place.distanceMeters <= radius)
+                .sort((a, b) => a.distanceMeters - b.distanceMeters);
+
+            amenities[amenityType] = {
+                count: withDistance.length,
+                nearest: withDistance[0] || null,
+            };
+            console.log(`  ✅ ${amenityType}: ${withDistance.length} within ${radius}m${withDistance[0] ? `, nearest ${withDistance[0].distanceMeters}m` : ''}`);
+        } catch (error) {
+            throwIfAborted();
+            console.error(`  ⚠️  Could not verify ${amenityType}:`, error.message);
+            amenities[amenityType] = { count: null, nearest: null, error: error.message }; // Null means unverified
+        }
+    }));
+
+    return {
+        neighborhood,
+        city,
+        location,
+        center: center.location,
+        centerSource: center.source,
+        radius,
+        amenities,
+    };
+}
+
+module.exports = {
+    COVERAGE_OPTIONS,
+    getSearchArea,
+    getAllAmenityCoordinates,
+    getAmenityCoordinates,
+    getNeighborhoodFromCoordinates,
+    scoreNeighborhoodsByAmenities,
+    getNeighborhoodGeometry,
+    getNeighborhoodCenter,
+    verifyNeighborhoodAmenities,
+};
@@ -0,0 +1,34 @@
+// Amenity types understood by the preference parser, mapped to the Google Places
+// type they search for and the words in a preference string that imply them.
+// Words match whole (a plural "s" is allowed), so "park" doesn't match "parking"
+// and "bus" doesn't match "business".
+const AMENITY_TYPES = {
+    gym: ['gym', 'fitness', 'crunch', 'peloton', 'la fitness'],
+    grocery_or_supermarket: ['grocery', 'groceries', 'supermarket', 'whole foods', 'trader joe'],
+    transit_station: ['transit', 'metro', 'muni', 'bart', 'bus', 'buses'],
+    restaurant: ['restaurant', 'food', 'cafe', 'coffee'],
+    park: ['park', 'outdoor', 'nature'],
+    hospital: ['hospital', 'doctor', 'medical'],
+    library: ['library', 'libraries'],
+    school: ['school'],
+    shopping_mall: ['shopping', 'mall'],
+    pharmacy: ['pharmacy', 'pharmacies'],
+};
+
+const PATTERNS = Object.fromEntries(Object.entries(AMENITY_TYPES).map(([type, keywords]) => [
+    type,
+    new RegExp(`\\b(?:${keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})s?\\b`),
+]));
+
+// Function to list the amenity types that a free-text preference string implies
+function detectAmenityTypes(preferences) {
+    const text = String(preferences || '').toLowerCase();
+    return Object.entries(PATTERNS)
+        .filter(([, pattern]) => pattern.test(text))
+        .map(([type]) => type);
+}
+
+module.exports = {
+    AMENITY_TYPES,
+    detectAmenityTypes,
+};
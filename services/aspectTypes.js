@@ -0,0 +1,36 @@
+// Neighborhood aspects extracted from Reddit posts, mapped to the words in a
+// post or preference string that signal each one. Words match whole (a plural
+// "s" is allowed), so "safe" doesn't match "Safeway" and "rent" doesn't match "parent".
+const ASPECTS = {
+    safety: ['safe', 'safety', 'unsafe', 'crime', 'sketchy', 'break-in', 'dangerous', 'theft', 'security'],
+    noise: ['quiet', 'noisy', 'noise', 'loud', 'peaceful'],
+    cleanliness: ['clean', 'dirty', 'trash', 'litter', 'filthy'],
+    walkability: ['walkable', 'walking', 'walk to', 'car-free', 'hills', 'hilly'],
+    nightlife: ['nightlife', 'night life', 'bar', 'club', 'nightclub', 'party', 'parties'],
+    cost: ['expensive', 'affordable', 'cheap', 'rent', 'pricey'],
+    parking: ['parking', 'garage', 'park your car'],
+};
+
+// A clause saying something doesn't matter ("don't care about nightlife",
+// "parking isn't a concern") doesn't ask for the aspects it names
+const INDIFFERENCE = /\b(?:(?:don't|do not|doesn't|does not|won't) (?:care|mind|matter)|(?:not|isn't|is not|aren't|are not) (?:important|a concern|an issue|a priority)|no preference)\b/;
+
+const PATTERNS = Object.fromEntries(Object.entries(ASPECTS).map(([aspect, keywords]) => [
+    aspect,
+    new RegExp(`\\b(?:${keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})s?\\b`),
+]));
+
+// Function to list the aspects that a free-text string mentions
+function detectAspects(text) {
+    const clauses = String(text || '').toLowerCase().replace(/’/g, '\'')
+        .split(/[,;.!?\n]|\bbut\b/)
+        .filter(clause => !INDIFFERENCE.test(clause));
+    return Object.entries(PATTERNS)
+        .filter(([, pattern]) => clauses.some(clause => pattern.test(clause)))
+        .map(([aspect]) => aspect);
+}
+
+module.exports = {
+    ASPECTS,
+    detectAspects,
+};
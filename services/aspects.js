@@ -0,0 +1,95 @@
+const config = require('../config');
+const { llm } = require('./clients');
+const { ASPECTS } = require('./aspectTypes');
+const { citePosts, postTokens } = require('./reddit');
+const { batchByTokens, mapConcurrent } = require('./llm/batching');
+const { throwIfAborted } = require('./requestContext');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Citations kept per aspect, most recent first
+const MAX_ASPECT_CITATIONS = 3;
+
+function round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Function to extract (post, neighborhood, aspect, sentiment) mentions from the
+// posts, a batch of posts per LLM call (at most `batchSize` posts within the
+// prompt token budget), a few batches at a time. Neighborhood names are
+// returned in the caller's spelling.
+async function extractAspectMentions(posts, neighborhoods, city) {
+    if (posts.length === 0 || neighborhoods.length === 0) return [];
+
+    console.log(`\n🧩 EXTRACTING ASPECT MENTIONS from ${posts.length} posts...`);
+    const batches = batchByTokens(posts, postTokens, { maxItems: config.aspects.batchSize });
+    const found = await mapConcurrent(batches, async (batch, b) => {
+        throwIfAborted();
+        try {
+            return await llm.runTask('extractAspectMentions', { city, neighborhoods, posts: batch });
+        } catch (e) {
+            console.warn(`Could not extract aspect mentions for batch ${b + 1}/${batches.length}: ${e.message}`);
+            return [];
+        }
+    });
+    const mentions = found.flat().map(mention => ({
+        ...mention,
+        neighborhood: neighborhoods.find(n => n.toLowerCase() === mention.neighborhood.toLowerCase()),
+    }));
+    console.log(`✅ Found ${mentions.length} aspect mentions`);
+    return mentions;
+}
+
+// Function to aggregate mentions into an aspect profile per neighborhood:
+//   { neighborhood: { aspect: { score, sentiment, mentions, positive, negative, lastMentionedAt, citations } } }
+//
+// `sentiment` is the recency-weighted mean (-1 to 1), where each mention's weight
+// halves every `halfLifeDays` of post age; `score` rescales it to 0-1. Aspects
+// nobody mentioned have a null score and sentiment.
+function aggregateAspects(mentions, posts, neighborhoods, { halfLifeDays = config.aspects.halfLifeDays, now = Date.now() } = {}) {
+    const postsById = new Map(posts.map(p => [p.id, p]));
+    const weightFor = (post) => {
+        if (!post || !post.createdAt) return 1;
+        const ageDays = Math.max(0, (now - new Date(post.createdAt).getTime()) / DAY_MS);
+        return 0.5 ** (ageDays / halfLifeDays);
+    };
+
+    const profiles = {};
+    for (const neighborhood of neighborhoods) {
+        profiles[neighborhood] = {};
+        for (const aspect of Object.keys(ASPECTS)) {
+            const related = mentions
+                .filter(m => m.neighborhood === neighborhood && m.aspect === aspect)
+                .map(m => ({ ...m, post: postsById.get(m.postId) }))
+                .sort((a, b) => String(b.post?.createdAt).localeCompare(String(a.post?.createdAt)));
+
+            const totalWeight = related.reduce((sum, m) => sum + weightFor(m.post), 0);
+            const sentiment = totalWeight > 0
+                ? related.reduce((sum, m) => sum + m.sentiment * weightFor(m.post), 0) / totalWeight
+                : null;
+
+            profiles[neighborhood][aspect] = {
+                score: sentiment !== null ? round((sentiment + 1) / 2) : null,
+                sentiment: sentiment !== null ? round(sentiment) : null,
+                mentions: related.length,
+                positive: related.filter(m => m.sentiment > 0).length,
+                negative: related.filter(m => m.sentiment < 0).length,
+                lastMentionedAt: related.length > 0 && related[0].post ? related[0].post.createdAt : null,
+                citations: citePosts(related.map(m => m.postId), posts).slice(0, MAX_ASPECT_CITATIONS),
+            };
+        }
+    }
+    return profiles;
+}
+
+// Function to build aspect profiles for the given neighborhoods from filtered posts
+async function scoreAspects(posts, neighborhoods, city) {
+    const mentions = await extractAspectMentions(posts, neighborhoods, city);
+    return aggregateAspects(mentions, posts, neighborhoods);
+}
+
+module.exports = {
+    extractAspectMentions,
+    aggregateAspects,
+    scoreAspects,
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+const WRITE_DELAY_MS = 1000;
+
+// Function to build a stable cache key from a params object: keys are sorted,
+// strings lowercased and whitespace-collapsed, empty values dropped
+function normalizeKey(params) {
+    const normalize = (value) => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((out, key) => {
+                if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+                    out[key] = normalize(value[key]);
+                }
+                return out;
+            }, {});
+        }
+        if (typeof value === 'string') return value.trim().toLowerCase().replace(/\s+/g, ' ');
+        return value;
+    };
+    return JSON.stringify(normalize(params));
+}
+
+// TTL cache persisted as a JSON file. Entries live in memory and are flushed
+// to disk shortly after each write (and synchronously on process exit).
+function createDiskCache({ filePath }) {
+    let entries = {};
+    let writeTimer = null;
+    const stats = {};
+
+    if (fs.existsSync(filePath)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error(`⚠️  Ignoring unreadable cache file ${filePath}: ${error.message}`);
+        }
+    }
+
+    function flush() {
+        if (writeTimer) {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+        }
+        try {
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(entries)) {
+                if (entry.expiresAt <= now) delete entries[key];
+            }
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(entries));
+        } catch (error) {
+            console.error(`⚠️  Could not write cache file ${filePath}: ${error.message}`);
+        }
+    }
+
+    function scheduleFlush() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+        writeTimer.unref();
+    }
+
+    process.on('exit', () => {
+        if (writeTimer) flush();
+    });
+
+    function bucket(namespace) {
+        if (!stats[namespace]) stats[namespace] = { hits: 0, misses: 0 };
+        return stats[namespace];
+    }
+
+    return {
+        get(namespace, key) {
+            const entry = entries[`${namespace}:${key}`];
+            if (entry && entry.expiresAt > Date.now()) {
+                bucket(namespace).hits++;
+                return entry.value;
+            }
+            bucket(namespace).misses++;
+            return undefined;
+        },
+
+        set(namespace, key, value, ttlMs) {
+            entries[`${namespace}:${key}`] = { value, expiresAt: Date.now() + ttlMs };
+            scheduleFlush();
+        },
+
+        stats() {
+            const byNamespace = {};
+            for (const [namespace, { hits, misses }] of Object.entries(stats)) {
+                const total = hits + misses;
+                byNamespace[namespace] = { hits, misses, hitRate: total > 0 ? hits / total : 0 };
+            }
+            return { entries: Object.keys(entries).length, namespaces: byNamespace };
+        },
+
+        flush,
+    };
+}
+
+module.exports = {
+    createDiskCache,
+    normalizeKey,
+};
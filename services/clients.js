@@ -0,0 +1,25 @@
+const { createGeoProvider } = require('./geo');
+const { createLLMService } = require('./llm');
+const { createTravelTimeProvider } = require('./travel');
+const { createRedditClient } = require('./redditClient');
+
+// Shared service instances used across the pipeline and routes
+
+// Geo provider (Google Maps or offline fixtures, see config.geo.provider)
+const geo = createGeoProvider();
+
+// LLM service (OpenAI or deterministic mock, see config.llm.backend)
+const llm = createLLMService();
+
+// Travel-time provider for commute constraints (see config.travel.provider)
+const travel = createTravelTimeProvider();
+
+// Reddit client (OAuth, public endpoints or offline fixtures, see config.reddit.client)
+const reddit = createRedditClient();
+
+module.exports = {
+    geo,
+    llm,
+    travel,
+    reddit,
+};
@@ -0,0 +1,153 @@
+const { geo, travel } = require('./clients');
+const { createEstimateProvider } = require('./travel/estimateProvider');
+const { TRAVEL_MODES } = require('./travel');
+const { getNeighborhoodGeometry, getNeighborhoodCenter } = require('./amenities');
+const { throwIfAborted } = require('./requestContext');
+
+const MAX_ANCHORS = 5;
+const estimator = createEstimateProvider();
+
+// Function to validate the `anchors` array from a request body:
+//   [{ address: "1 Market St", mode: "transit", maxMinutes: 30, label: "Office" }]
+// Throws with a client-facing message when an anchor is invalid.
+function parseAnchors(anchors) {
+    if (anchors === undefined || anchors === null) return [];
+    if (!Array.isArray(anchors)) throw new Error('anchors must be an array');
+    if (anchors.length > MAX_ANCHORS) throw new Error(`At most ${MAX_ANCHORS} anchors are supported`);
+
+    return anchors.map((anchor, i) => {
+        if (!anchor || typeof anchor.address !== 'string' || !anchor.address.trim()) {
+            throw new Error(`anchors[${i}].address is required`);
+        }
+        const mode = anchor.mode || 'transit';
+        if (!TRAVEL_MODES.includes(mode)) {
+            throw new Error(`anchors[${i}].mode must be one of: ${TRAVEL_MODES.join(', ')}`);
+        }
+        if (typeof anchor.maxMinutes !== 'number' || anchor.maxMinutes <= 0) {
+            throw new Error(`anchors[${i}].maxMinutes must be a positive number`);
+        }
+        return {
+            label: anchor.label || anchor.address.trim(),
+            address: anchor.address.trim(),
+            mode,
+            maxMinutes: anchor.maxMinutes,
+        };
+    });
+}
+
+// Function to geocode each anchor (concurrently); returns { resolved, unresolved }
+async function resolveAnchors(anchors, city) {
+    const locations = await Promise.all(anchors.map(async anchor => {
+        try {
+            // Bias toward the searched city unless the address already names one
+            let results = await geo.geocode(anchor.address.includes(',') ? anchor.address : `${anchor.address}, ${city}`);
+            if (results.length === 0) results = await geo.geocode(anchor.address);
+            return results.length > 0 ? results[0].location : null;
+        } catch (error) {
+            console.error(`Error geocoding anchor ${anchor.address}: ${error.message}`);
+            return null;
+        }
+    }));
+    return {
+        resolved: anchors.flatMap((anchor, i) => (locations[i] ? [{ ...anchor, location: locations[i] }] : [])),
+        unresolved: anchors.filter((_, i) => !locations[i]),
+    };
+}
+
+// Function to get travel minutes for many origins, falling back to the
+// straight-line estimate when the configured provider fails or finds no route.
+// A cancelled or timed-out search is not a provider failure and is rethrown.
+async function travelTimesWithFallback(origins, destination, mode) {
+    let minutes = [];
+    let source = travel.name;
+    try {
+        minutes = await travel.travelTimes({ origins, destination, mode });
+    } catch (error) {
+        throwIfAborted();
+        if (error.name === 'AbortError') throw error;
+        console.error(`  ⚠️  ${travel.name} travel times failed (${error.message}), estimating instead`);
+        source = 'estimate';
+    }
+
+    const estimates = await estimator.travelTimes({ origins, destination, mode });
+    return origins.map((_, i) => (
+        minutes[i] !== null && minutes[i] !== undefined
+            ? { minutes: minutes[i], source }
+            : { minutes: estimates[i], source: 'estimate' }
+    ));
+}
+
+// Function to compute commute times from each candidate neighborhood's centroid
+// to every anchor. Returns a map of neighborhood -> { centroid, commutes, withinLimits, score },
+// where `score` (0-1) is 1 at zero minutes falling linearly to 0 at each anchor's limit.
+// A neighborhood that couldn't be located has no commutes and can't be shown to
+// meet the limits, so it is not `withinLimits` while there are anchors.
+async function evaluateCommutes(candidates, anchors, { location, boundaries, neighborhoodAmenities = {} }) {
+    console.log(`\n🚆 EVALUATING COMMUTES for ${candidates.length} neighborhoods to ${anchors.length} anchor(s)...`);
+
+    const centroids = {};
+    await Promise.all(candidates.map(async n => {
+        const shape = getNeighborhoodGeometry(n.neighborhood, boundaries, neighborhoodAmenities[n.neighborhood]);
+        if (shape.centroid) {
+            centroids[n.neighborhood] = shape.centroid;
+        } else {
+            const center = await getNeighborhoodCenter(n.neighborhood, location);
+            if (center) centroids[n.neighborhood] = center.location;
+        }
+    }));
+
+    const located = candidates.filter(n => centroids[n.neighborhood]);
+    const origins = located.map(n => centroids[n.neighborhood]);
+    const results = {};
+    for (const n of candidates) {
+        const centroid = centroids[n.neighborhood] || null;
+        results[n.neighborhood] = { centroid, commutes: [], withinLimits: anchors.length === 0 || centroid !== null, score: null };
+    }
+    const unlocated = candidates.length - located.length;
+    if (anchors.length > 0 && unlocated > 0) {
+        console.warn(`  ⚠️  ${unlocated} neighborhood${unlocated === 1 ? '' : 's'} could not be located and can't meet the commute limits`);
+    }
+
+    const timesByAnchor = await Promise.all(anchors.map(anchor => (origins.length > 0
+        ? travelTimesWithFallback(origins, anchor.location, anchor.mode)
+        : [])));
+    anchors.forEach((anchor, a) => {
+        const times = timesByAnchor[a];
+        located.forEach((n, i) => {
+            const { minutes, source } = times[i];
+            results[n.neighborhood].commutes.push({
+                label: anchor.label,
+                address: anchor.address,
+                mode: anchor.mode,
+                minutes,
+                maxMinutes: anchor.maxMinutes,
+                withinLimit: minutes <= anchor.maxMinutes,
+                source,
+            });
+        });
+    });
+
+    for (const result of Object.values(results)) {
+        if (result.commutes.length === 0) continue;
+        result.withinLimits = result.commutes.every(c => c.withinLimit);
+        const perAnchor = result.commutes.map(c => Math.max(0, 1 - c.minutes / c.maxMinutes));
+        result.score = Math.round((perAnchor.reduce((a, b) => a + b, 0) / perAnchor.length) * 1000) / 1000;
+    }
+
+    const kept = Object.values(results).filter(r => r.withinLimits).length;
+    console.log(`✅ ${kept}/${candidates.length} neighborhoods within commute limits`);
+    return results;
+}
+
+// Function to describe commutes as match reasons, e.g. "22 min by transit to Office (limit 30)"
+function describeCommutes(commutes) {
+    return commutes.map(c =>
+        `${c.minutes} min by ${c.mode} to ${c.label} (limit ${c.maxMinutes}${c.source === 'estimate' ? ', estimated' : ''})`);
+}
+
+module.exports = {
+    parseAnchors,
+    resolveAnchors,
+    evaluateCommutes,
+    describeCommutes,
+};
@@ -0,0 +1,250 @@
+const config = require('../config');
+const { llm } = require('./clients');
+const { detectAmenityTypes } = require('./amenityTypes');
+const { detectAspects } = require('./aspectTypes');
+const { loadBoundaries, findBoundaryByName } = require('./geo/boundaries');
+const { scoreAmenityDensity } = require('./scoring');
+const { COVERAGE_OPTIONS, scoreNeighborhoodsByAmenities, getNeighborhoodCenter } = require('./amenities');
+const { computeSafetyIndices, safetyFor } = require('./crime/safety');
+const { scrapeReddit, filterRelevantPosts, summarizePostsForScoring } = require('./reddit');
+const {
+    RecommendationError,
+    citedStatements,
+    collectCitedPosts,
+    parseAmenityNeeds,
+    validatePreferences,
+    reportSuspiciousInputs,
+    buildMapData,
+} = require('./recommendations');
+const { requireLocation } = require('./locations');
+const { throwIfAborted } = require('./requestContext');
+
+const MIN_NEIGHBORHOODS = 2;
+const MAX_NEIGHBORHOODS = 5;
+
+// Function to find a value in a map keyed by neighborhood name, ignoring case
+function lookupByName(map, name) {
+    const key = Object.keys(map).find(k => k.toLowerCase() === name.toLowerCase());
+    return key !== undefined ? map[key] : undefined;
+}
+
+// Function to pick the neighborhood with the highest score; null when nothing
+// scored above 0 or the top spot is tied
+function pickWinner(scores) {
+    const ranked = Object.entries(scores)
+        .filter(([, score]) => score !== null && score !== undefined)
+        .sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || ranked[0][1] <= 0) return null;
+    if (ranked.length > 1 && ranked[1][1] === ranked[0][1]) return null;
+    return ranked[0][0];
+}
+
+// Function to resolve the requested names to the spelling the amenity data or
+// boundary file uses, so lookups and map shapes line up. Names that can't be
+// located at all are rejected with a 404.
+async function resolveNeighborhoodNames(names, location, scoredNeighborhoods, boundaries) {
+    const resolved = [];
+    const missing = [];
+    for (const name of names) {
+        const scored = scoredNeighborhoods.find(n => n.neighborhood.toLowerCase() === name.toLowerCase());
+        const boundary = findBoundaryByName(boundaries, name);
+        if (scored) {
+            resolved.push(scored.neighborhood);
+        } else if (boundary) {
+            resolved.push(boundary.name);
+        } else if (await getNeighborhoodCenter(name, location)) {
+            resolved.push(name);
+        } else {
+            missing.push(name);
+        }
+    }
+
+    if (missing.length > 0) {
+        throw new RecommendationError(`Could not locate ${missing.join(', ')} in ${location.label}`, 404);
+    }
+    return resolved;
+}
+
+// Function to compare a fixed set of neighborhoods side by side.
+//
+// Runs the same amenity scoring and Reddit steps as the recommendation pipeline,
+// but only for the named neighborhoods, then scores each individual preference
+// to build a winner table. The city is resolved like the pipeline's, so an
+// ambiguous name fails with a 409 LocationError unless `placeId` picks one.
+// `coverage` sets the amenity search area as in the pipeline.
+async function compareNeighborhoods({ city: query, placeId, neighborhoods, preferences, coverage = config.places.coverage }) {
+    console.log('\n⚖️  NEW COMPARISON REQUEST');
+    console.log(`📍 City: ${query || placeId}`);
+    console.log(`🏘️  Neighborhoods: ${Array.isArray(neighborhoods) ? neighborhoods.join(', ') : neighborhoods}`);
+    console.log(`💭 User preferences: ${preferences}\n`);
+
+    if ((!query && !placeId) || !preferences) {
+        throw new RecommendationError('City and preferences are required');
+    }
+    validatePreferences(preferences);
+    if (!Array.isArray(neighborhoods) || neighborhoods.some(n => typeof n !== 'string' || !n.trim())) {
+        throw new RecommendationError('neighborhoods must be an array of names');
+    }
+    const names = [...new Set(neighborhoods.map(n => n.trim()))];
+    if (names.length < MIN_NEIGHBORHOODS || names.length > MAX_NEIGHBORHOODS) {
+        throw new RecommendationError(`Compare between ${MIN_NEIGHBORHOODS} and ${MAX_NEIGHBORHOODS} different neighborhoods`);
+    }
+    if (!COVERAGE_OPTIONS.includes(coverage)) {
+        throw new RecommendationError(`coverage must be one of: ${COVERAGE_OPTIONS.join(', ')}`);
+    }
+
+    const location = await requireLocation(query, placeId);
+    const city = location.label;
+
+    // Split the preferences into the individual criteria for the winner table
+    let criteria = [];
+    try {
+        criteria = (await llm.runTask('parsePreferences', { city, preferences })).preferences;
+    } catch (e) {
+        console.warn(`Could not split preferences (${e.message}), comparing them as one`);
+    }
+    if (criteria.length === 0) criteria = [preferences];
+
+    // Amenities: score the whole city, then keep only the named neighborhoods
+    throwIfAborted();
+    const { amenitiesNeeded, specificBrands } = await parseAmenityNeeds(preferences);
+    let scoredNeighborhoods = [];
+    let neighborhoodAmenities = {};
+    let boundaries = loadBoundaries(location);
+    if (amenitiesNeeded.length > 0) {
+        ({ scoredNeighborhoods, neighborhoodAmenities, boundaries } =
+            await scoreNeighborhoodsByAmenities(location, amenitiesNeeded, specificBrands, { coverage }));
+    }
+
+    // Safety from local crime data, when it is asked for and the city has an incident file
+    const safetyIndices = detectAspects(preferences).includes('safety')
+        ? computeSafetyIndices(location, boundaries)
+        : null;
+
+    throwIfAborted();
+    const compared = await resolveNeighborhoodNames(names, location, scoredNeighborhoods, boundaries);
+    const candidates = compared.map(name =>
+        scoredNeighborhoods.find(n => n.neighborhood === name) ||
+        { neighborhood: name, totalAmenities: 0, amenityCounts: {}, amenityScore: 0, amenityTypes: 0 });
+    const areaFor = name => findBoundaryByName(boundaries, name)?.areaKm2;
+    const amenityDensity = amenitiesNeeded.length > 0
+        ? scoreAmenityDensity(candidates, amenitiesNeeded, { areaFor })
+        : {};
+
+    // Reddit: the usual qualitative queries plus one per compared neighborhood
+    throwIfAborted();
+    let redditQueries = [];
+    try {
+        redditQueries = await llm.runTask('qualitativeQueries', { city, preferences });
+    } catch (e) {
+        redditQueries = [`neighborhoods in ${city}`];
+    }
+    redditQueries = [...redditQueries, ...compared.map(name => `${name} ${city}`)];
+
+    const redditPosts = await scrapeReddit(redditQueries, city);
+    const filteredPosts = redditPosts.length > 0
+        ? await filterRelevantPosts(redditPosts, preferences)
+        : [];
+    const suspiciousInputs = reportSuspiciousInputs(preferences, redditPosts);
+
+    // Posts that don't fit one prompt are summarized per neighborhood first
+    throwIfAborted();
+    const evidence = await summarizePostsForScoring(filteredPosts, compared, { city, preferences });
+    let qualitativeScores = {};
+    try {
+        qualitativeScores = await llm.runTask('scoreQualitative', { city, preferences, neighborhoods: compared, ...evidence });
+    } catch (e) {
+        console.warn(`Could not parse qualitative scores: ${e.message}`);
+    }
+
+    let concerns = {};
+    if (filteredPosts.length > 0) {
+        try {
+            concerns = await llm.runTask('identifyConcerns', { city, preferences, neighborhoods: compared, ...evidence });
+        } catch (e) {
+            console.warn('Could not parse concerns:', e.message);
+        }
+    }
+
+    // Winner table: amenity criteria are decided by density of the matching
+    // types, safety criteria by the crime-data safety index when there is one,
+    // everything else by a qualitative score for that criterion alone.
+    // Criteria are scored concurrently.
+    throwIfAborted();
+    const winners = await Promise.all(criteria.map(async criterion => {
+        const types = detectAmenityTypes(criterion).filter(type => amenitiesNeeded.includes(type));
+        let basis;
+        let scores = {};
+        if (types.length > 0) {
+            basis = 'amenities';
+            const density = scoreAmenityDensity(candidates, types, { areaFor });
+            compared.forEach(name => {
+                scores[name] = density[name].score;
+            });
+        } else if (detectAspects(criterion).includes('safety') && compared.some(name => safetyFor(safetyIndices, name))) {
+            basis = 'crime_data';
+            compared.forEach(name => {
+                const safety = safetyFor(safetyIndices, name);
+                scores[name] = safety ? safety.index : null;
+            });
+        } else {
+            basis = 'qualitative';
+            try {
+                const criterionScores = await llm.runTask('scoreQualitative', {
+                    city,
+                    preferences: criterion,
+                    neighborhoods: compared,
+                    ...evidence,
+                });
+                compared.forEach(name => {
+                    scores[name] = lookupByName(criterionScores, name) ?? null;
+                });
+            } catch (e) {
+                throwIfAborted();
+                console.warn(`Could not score "${criterion}": ${e.message}`);
+                scores = Object.fromEntries(compared.map(name => [name, null]));
+            }
+        }
+        return { preference: criterion, basis, scores, winner: pickWinner(scores) };
+    }));
+
+    throwIfAborted();
+    const mapData = await buildMapData(location, compared, {
+        amenitiesNeeded,
+        specificBrands,
+        boundaries,
+        neighborhoodAmenities,
+        coverage,
+    });
+
+    console.log('✅ Comparison generated:');
+    winners.forEach(w => console.log(`   ${w.preference}: ${w.winner || 'no clear winner'}`));
+
+    const results = candidates.map(n => {
+        const safety = safetyFor(safetyIndices, n.neighborhood);
+        return {
+            neighborhood: n.neighborhood,
+            amenityScore: amenityDensity[n.neighborhood] ? amenityDensity[n.neighborhood].score : null,
+            amenityBreakdown: n.amenityCounts,
+            qualitativeScore: lookupByName(qualitativeScores, n.neighborhood) ?? null,
+            safety: safety ? { ...safety, rateUnit: safetyIndices.rateUnit, source: safetyIndices.source } : null,
+            concerns: citedStatements(concerns, n.neighborhood, filteredPosts),
+        };
+    });
+
+    return {
+        city,
+        location,
+        userPreferences: preferences,
+        coverage,
+        neighborhoods: results,
+        winners,
+        citedPosts: collectCitedPosts(results.flatMap(r => r.concerns), filteredPosts),
+        mapData,
+        metadata: { suspiciousInputs },
+    };
+}
+
+module.exports = {
+    compareNeighborhoods,
+};
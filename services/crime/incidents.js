@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { locationSlug } = require('../geo/boundaries');
+const { parseCsv } = require('../csv');
+
+// Column names tried, in order, when a city has no mapping file. Covers the
+// usual Socrata/ArcGIS open-data exports.
+const DEFAULT_COLUMNS = {
+    latitude: ['latitude', 'Latitude', 'LATITUDE', 'lat', 'Y'],
+    longitude: ['longitude', 'Longitude', 'LONGITUDE', 'lng', 'lon', 'X'],
+    date: ['date', 'Date', 'Incident Datetime', 'Incident Date', 'incident_date', 'occurred_on', 'CMPLNT_FR_DT'],
+    category: ['category', 'Category', 'Incident Category', 'Primary Type', 'offense', 'OFNS_DESC'],
+    neighborhood: ['neighborhood', 'Neighborhood', 'Analysis Neighborhood'],
+};
+
+// Parsed incident sets keyed by location slug (null when the city has no file)
+const loaded = new Map();
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Function to read a field using a mapped column name, or the first default column present
+function pick(record, field, columns) {
+    const names = columns[field] ? [columns[field]] : DEFAULT_COLUMNS[field];
+    const name = names.find(n => record[n] !== undefined && record[n] !== '');
+    return name !== undefined ? record[name] : null;
+}
+
+// Function to turn one CSV row or GeoJSON feature's properties into an incident,
+// or null when it has no usable date or location
+function toIncident(record, columns, point = null) {
+    const date = new Date(pick(record, 'date', columns));
+    if (Number.isNaN(date.getTime())) return null;
+
+    const lat = point ? point.lat : parseFloat(pick(record, 'latitude', columns));
+    const lng = point ? point.lng : parseFloat(pick(record, 'longitude', columns));
+    const hasPoint = Number.isFinite(lat) && Number.isFinite(lng) && !(lat === 0 && lng === 0);
+    const neighborhood = pick(record, 'neighborhood', columns);
+    if (!hasPoint && !neighborhood) return null;
+
+    return {
+        lat: hasPoint ? lat : null,
+        lng: hasPoint ? lng : null,
+        date,
+        category: pick(record, 'category', columns),
+        neighborhood: neighborhood || null,
+    };
+}
+
+// Function to load a location's crime incidents from `<crimeDir>/<location-slug>.csv`
+// (or `.geojson`), with optional column mapping, excluded categories and
+// neighborhood populations in `<location-slug>.mapping.json`:
+//   { "columns": { "latitude": "Latitude", "date": "Incident Datetime", ... },
+//     "excludeCategories": ["Non-Criminal"], "population": { "Mission District": 58000 } }
+// Returns null when no incident file exists for the city.
+function loadIncidents(location) {
+    const slug = locationSlug(location);
+    const city = location.label;
+    if (loaded.has(slug)) return loaded.get(slug);
+
+    const candidates = [`${slug}.csv`, `${slug}.geojson`, `${slug}.json`].map(file => path.join(config.crime.dir, file));
+    const filePath = candidates.find(file => fs.existsSync(file));
+
+    let dataset = null;
+    if (filePath) {
+        try {
+            const mapping = readJson(path.join(config.crime.dir, `${slug}.mapping.json`), {});
+            const columns = mapping.columns || {};
+            const excluded = new Set((mapping.excludeCategories || []).map(c => c.toLowerCase()));
+            const text = fs.readFileSync(filePath, 'utf8');
+
+            const raw = /\.csv$/i.test(filePath)
+                ? parseCsv(text).map(row => toIncident(row, columns))
+                : (JSON.parse(text).features || []).map(feature => {
+                    const coords = feature.geometry && feature.geometry.type === 'Point' ? feature.geometry.coordinates : null;
+                    return toIncident(feature.properties || {}, columns, coords ? { lat: coords[1], lng: coords[0] } : null);
+                });
+
+            const incidents = raw.filter(incident =>
+                incident && !(incident.category && excluded.has(incident.category.toLowerCase())));
+            dataset = { city, source: path.basename(filePath), incidents, population: mapping.population || {} };
+            console.log(`🚓 Loaded ${incidents.length} crime incidents for ${city} from ${dataset.source} (${raw.length - incidents.length} skipped)`);
+        } catch (error) {
+            console.error(`❌ Could not load crime incidents from ${filePath}: ${error.message}`);
+        }
+    }
+
+    loaded.set(slug, dataset);
+    return dataset;
+}
+
+module.exports = {
+    loadIncidents,
+};
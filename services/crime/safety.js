@@ -0,0 +1,141 @@
+const config = require('../../config');
+const { locationSlug, findNeighborhood, findBoundaryByName } = require('../geo/boundaries');
+const { loadIncidents } = require('./incidents');
+
+// A change smaller than this (either way) between the two halves of the window is "stable"
+const TREND_THRESHOLD_PCT = 10;
+
+const RATE_UNITS = {
+    per_capita: 'incidents per 1,000 residents per year',
+    per_area: 'incidents per km² per year',
+    count: 'incidents per year',
+};
+
+// Computed indices keyed by location slug
+const computed = new Map();
+
+function round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function lookup(map, name) {
+    const key = Object.keys(map).find(k => k.toLowerCase() === name.toLowerCase());
+    return key !== undefined ? map[key] : undefined;
+}
+
+function monthsBefore(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() - months);
+    return result;
+}
+
+// Function to compute a safety index for every neighborhood in a location's crime data.
+//
+// Incidents from the last config.crime.windowMonths months (ending at the newest
+// incident, since exports are snapshots) are assigned to neighborhoods by boundary
+// polygon, or by the dataset's neighborhood column when the city has no boundary file. Rates are
+// per 1,000 residents when the mapping lists every neighborhood's population,
+// otherwise per km² of boundary area, otherwise raw counts. `index` is 0-1
+// relative to the city (1 for the lowest rate, 0 for the highest), `rank` orders
+// neighborhoods from the lowest rate (1), and `trend` compares the two halves of
+// the window. Returns null when the city has no crime data.
+function computeSafetyIndices(location, boundaries) {
+    const city = location.label;
+    const key = locationSlug(location);
+    if (computed.has(key)) return computed.get(key);
+
+    const { windowMonths } = config.crime;
+    const dataset = loadIncidents(location);
+    if (!dataset || dataset.incidents.length === 0) {
+        computed.set(key, null);
+        return null;
+    }
+
+    const windowEnd = new Date(dataset.incidents.reduce((max, i) => Math.max(max, i.date.getTime()), 0));
+    const windowStart = monthsBefore(windowEnd, windowMonths);
+    const midpoint = monthsBefore(windowEnd, windowMonths / 2);
+
+    const bins = {};
+    if (boundaries) {
+        boundaries.neighborhoods.forEach(n => {
+            bins[n.name] = { recent: 0, previous: 0 };
+        });
+    }
+    for (const incident of dataset.incidents) {
+        if (incident.date <= windowStart) continue;
+        let name = incident.neighborhood;
+        if (boundaries) {
+            name = incident.lat !== null
+                ? findNeighborhood(boundaries, incident)?.name
+                : findBoundaryByName(boundaries, incident.neighborhood)?.name;
+        }
+        if (!name) continue;
+        if (!bins[name]) bins[name] = { recent: 0, previous: 0 };
+        bins[name][incident.date > midpoint ? 'recent' : 'previous']++;
+    }
+
+    const names = Object.keys(bins);
+    const basis = names.every(name => lookup(dataset.population, name) > 0)
+        ? 'per_capita'
+        : boundaries ? 'per_area' : 'count';
+    const yearFactor = 12 / windowMonths;
+
+    const rates = {};
+    for (const name of names) {
+        const perYear = (bins[name].recent + bins[name].previous) * yearFactor;
+        if (basis === 'per_capita') {
+            rates[name] = (perYear / lookup(dataset.population, name)) * 1000;
+        } else if (basis === 'per_area') {
+            rates[name] = perYear / findBoundaryByName(boundaries, name).areaKm2;
+        } else {
+            rates[name] = perYear;
+        }
+    }
+    const maxRate = Math.max(0, ...Object.values(rates));
+    const byRate = [...names].sort((a, b) => rates[a] - rates[b]);
+
+    const neighborhoods = {};
+    for (const name of names) {
+        const { recent, previous } = bins[name];
+        const changePct = previous > 0 ? Math.round(((recent - previous) / previous) * 100) : null;
+        let direction = 'unknown';
+        if (changePct !== null) {
+            direction = changePct < -TREND_THRESHOLD_PCT ? 'improving'
+                : changePct > TREND_THRESHOLD_PCT ? 'worsening' : 'stable';
+        }
+
+        neighborhoods[name] = {
+            incidents: recent + previous,
+            rate: round(rates[name], 1),
+            index: maxRate > 0 ? round(1 - rates[name] / maxRate) : 1,
+            rank: byRate.indexOf(name) + 1,
+            trend: { direction, changePct, recent, previous },
+        };
+    }
+
+    const result = {
+        source: dataset.source,
+        basis,
+        rateUnit: RATE_UNITS[basis],
+        neighborhoodCount: names.length,
+        windowStart: windowStart.toISOString(),
+        windowEnd: windowEnd.toISOString(),
+        windowMonths,
+        neighborhoods,
+    };
+    console.log(`🚓 Safety indices for ${names.length} neighborhoods in ${city} (${basis}, ${windowMonths} months)`);
+    computed.set(key, result);
+    return result;
+}
+
+// Function to look up one neighborhood's safety entry (case-insensitive), or null
+function safetyFor(indices, neighborhood) {
+    if (!indices) return null;
+    return lookup(indices.neighborhoods, neighborhood) || null;
+}
+
+module.exports = {
+    computeSafetyIndices,
+    safetyFor,
+};
@@ -0,0 +1,60 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines
+// inside quotes. Returns one object per row keyed by the header line.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(r => r.some(value => value !== ''));
+    const columns = header.map(name => name.replace(/^\uFEFF/, '').trim());
+    return records.map(values => Object.fromEntries(columns.map((name, i) => [name, values[i] ?? ''])));
+}
+
+// Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write rows (objects) as CSV with the given columns, quoting fields
+// where needed. Lines end in CRLF, as RFC 4180 asks.
+function formatCsv(rows, columns) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(csvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, formatCsv };
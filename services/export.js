@@ -0,0 +1,216 @@
+const { formatCsv } = require('./csv');
+const { citySlug } = require('./geo/boundaries');
+
+// Export of a finished search result (single- or multi-city) for GIS tools and
+// spreadsheets. The result is flattened into features first: one per
+// recommended neighborhood (its polygon, or its centroid without a boundary),
+// one per amenity shown on the map and one per city center. Each format is a
+// rendering of those features with flat, primitive properties.
+
+const EXPORT_FORMATS = {
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+};
+
+// Columns CSV exports always start with; other properties follow in the order they appear
+const CSV_COLUMNS = ['kind', 'rank', 'city', 'neighborhood', 'name', 'amenityType', 'lat', 'lng'];
+
+function point({ lat, lng }) {
+    return { type: 'Point', coordinates: [lng, lat] };
+}
+
+// Function to list a result's map data per city: [[city, mapData]]
+function mapDataByCity(result) {
+    return result.cities ? Object.entries(result.mapData) : [[result.city, result.mapData]];
+}
+
+function joinStatements(statements = []) {
+    return statements.map(s => s.text).join('; ');
+}
+
+// Function to flatten a recommendation into primitive feature properties
+function neighborhoodProperties(rec, rank, city) {
+    const properties = {
+        kind: 'neighborhood',
+        rank,
+        city,
+        neighborhood: rec.neighborhood,
+        matchScore: rec.matchScore,
+    };
+    if (rec.cityMatchScore !== undefined) properties.cityMatchScore = rec.cityMatchScore;
+    for (const [component, { score }] of Object.entries(rec.scoreBreakdown || {})) {
+        properties[`${component}Score`] = score;
+    }
+    for (const [type, count] of Object.entries(rec.amenityBreakdown || {})) {
+        properties[`${type}Count`] = count;
+    }
+    if (rec.safety) {
+        properties.safetyIndex = rec.safety.index;
+        properties.crimeRate = rec.safety.rate;
+        properties.crimeRateUnit = rec.safety.rateUnit;
+    }
+    if (rec.typicalRent) {
+        properties.typicalRent = rec.typicalRent.amount;
+        properties.withinBudget = rec.typicalRent.withinBudget;
+    }
+    (rec.commutes || []).forEach((commute, i) => {
+        properties[`commute${i + 1}Label`] = commute.label;
+        properties[`commute${i + 1}Minutes`] = commute.minutes;
+    });
+    properties.matchReasons = joinStatements(rec.matchReasons);
+    properties.concerns = joinStatements(rec.concerns);
+    return properties;
+}
+
+// Function to turn a search result into GeoJSON-style features:
+//   [{ geometry, properties }] with properties.kind "neighborhood", "amenity" or "city_center"
+function resultFeatures(result) {
+    const features = [];
+    const maps = mapDataByCity(result);
+
+    result.recommendations.recommendations.forEach((rec, i) => {
+        const city = rec.city || result.city;
+        const mapData = maps.find(([name]) => name === city)?.[1];
+        const shape = mapData && mapData.neighborhoods[rec.neighborhood];
+        const properties = neighborhoodProperties(rec, i + 1, city);
+        if (shape && shape.centroid) {
+            properties.lat = shape.centroid.lat;
+            properties.lng = shape.centroid.lng;
+        }
+        features.push({
+            geometry: shape && shape.polygon ? shape.polygon : shape && shape.centroid ? point(shape.centroid) : null,
+            properties,
+        });
+    });
+
+    for (const [city, mapData] of maps) {
+        if (mapData.cityCoordinates) {
+            const { lat, lng } = mapData.cityCoordinates;
+            features.push({ geometry: point(mapData.cityCoordinates), properties: { kind: 'city_center', city, name: city, lat, lng } });
+        }
+
+        // The same place can be both a city-wide marker and one of a neighborhood's amenities
+        const amenities = new Map();
+        const add = (amenity, type, neighborhood = null) => {
+            const key = `${type}|${amenity.name}|${amenity.lat},${amenity.lng}`;
+            const existing = amenities.get(key);
+            if (existing) {
+                existing.neighborhood = existing.neighborhood || neighborhood;
+                return;
+            }
+            amenities.set(key, { kind: 'amenity', city, neighborhood, name: amenity.name, amenityType: type, lat: amenity.lat, lng: amenity.lng });
+        };
+        for (const [neighborhood, byType] of Object.entries(mapData.neighborhoodAmenities || {})) {
+            for (const [type, list] of Object.entries(byType)) list.forEach(amenity => add(amenity, type, neighborhood));
+        }
+        for (const [type, list] of Object.entries(mapData.amenities || {})) {
+            list.forEach(amenity => add(amenity, type));
+        }
+        for (const properties of amenities.values()) {
+            features.push({ geometry: point(properties), properties });
+        }
+    }
+    return features;
+}
+
+function toGeoJSON(result) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: resultFeatures(result).map(({ geometry, properties }) => ({ type: 'Feature', geometry, properties })),
+    }, null, 2);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function kmlCoordinates(positions) {
+    return positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+}
+
+function kmlPolygon(rings) {
+    const [outer, ...holes] = rings;
+    return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+}
+
+function kmlGeometry(geometry) {
+    if (!geometry) return '';
+    if (geometry.type === 'Point') return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+    if (geometry.type === 'Polygon') return kmlPolygon(geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    return '';
+}
+
+function kmlPlacemark({ geometry, properties }) {
+    const name = properties.kind === 'neighborhood'
+        ? `#${properties.rank} ${properties.neighborhood} (${Math.round(properties.matchScore * 100)}%)`
+        : properties.name;
+    const description = properties.kind === 'neighborhood'
+        ? [properties.matchReasons && `Why: ${properties.matchReasons}`, properties.concerns && `Concerns: ${properties.concerns}`]
+            .filter(Boolean).join('\n')
+        : properties.amenityType || '';
+    const data = Object.entries(properties)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+    return `<Placemark><name>${escapeXml(name)}</name><description>${escapeXml(description)}</description>` +
+        `<ExtendedData>${data}</ExtendedData>${kmlGeometry(geometry)}</Placemark>`;
+}
+
+// KML with one folder of recommended neighborhoods and one per amenity type
+function toKML(result) {
+    const features = resultFeatures(result);
+    const folder = (name, list) => list.length > 0
+        ? `<Folder><name>${escapeXml(name)}</name>\n${list.map(kmlPlacemark).join('\n')}\n</Folder>`
+        : '';
+    const amenityTypes = [...new Set(features.filter(f => f.properties.kind === 'amenity').map(f => f.properties.amenityType))];
+    const title = `Neighborhoods in ${result.cities ? result.cities.join(', ') : result.city}`;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `<name>${escapeXml(title)}</name>`,
+        `<description>${escapeXml(result.userPreferences || '')}</description>`,
+        folder('Recommended neighborhoods', features.filter(f => f.properties.kind === 'neighborhood')),
+        ...amenityTypes.map(type => folder(type, features.filter(f => f.properties.amenityType === type && f.properties.kind === 'amenity'))),
+        folder('City centers', features.filter(f => f.properties.kind === 'city_center')),
+        '</Document>',
+        '</kml>',
+    ].filter(Boolean).join('\n') + '\n';
+}
+
+// CSV with one row per feature; polygons are given by their centroid
+function toCSV(result) {
+    const rows = resultFeatures(result).map(f => f.properties);
+    const columns = [...new Set([...CSV_COLUMNS, ...rows.flatMap(row => Object.keys(row))])];
+    return formatCsv(rows, columns);
+}
+
+// Function to export a search result in one of EXPORT_FORMATS:
+//   { contentType, filename, body }
+function exportResult(result, format, id) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const body = format === 'geojson' ? toGeoJSON(result) : format === 'kml' ? toKML(result) : toCSV(result);
+    const place = result.cities ? result.cities.map(citySlug).join('-') : citySlug(result.city);
+    return { contentType, filename: `neighborhoods-${place}-${String(id).slice(0, 8)}.${extension}`, body };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    escapeXml,
+    mapDataByCity,
+    resultFeatures,
+    toGeoJSON,
+    toKML,
+    toCSV,
+    exportResult,
+};
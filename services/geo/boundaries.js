@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { pointInPolygon, boundingBox, boxContains, polygonCentroid, polygonAreaKm2 } = require('./geometry');
+
+// Parsed boundary sets keyed by location slug (null when the city has no file)
+const loaded = new Map();
+
+function slugify(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Function to turn a city name into a short slug (the part before the first comma)
+function citySlug(city) {
+    return slugify(String(city || '').split(',')[0]);
+}
+
+// Function to turn a resolved location (see services/locations.js) into the slug
+// its data files are named after. The whole label is used, so places sharing a
+// name get different files: "Portland, OR" -> "portland-or", "Portland, ME" ->
+// "portland-me", "Paris, France" -> "paris-france".
+function locationSlug(location) {
+    return slugify(location.label);
+}
+
+function featureName(properties) {
+    for (const key of config.boundaries.nameProperties) {
+        if (properties && properties[key]) return String(properties[key]);
+    }
+    return null;
+}
+
+// Function to load a location's neighborhood polygons from
+// `<boundariesDir>/<location-slug>.geojson`. Returns null when no boundary file
+// exists for it.
+function loadBoundaries(location) {
+    const slug = locationSlug(location);
+    const city = location.label;
+    if (loaded.has(slug)) return loaded.get(slug);
+
+    const candidates = [`${slug}.geojson`, `${slug}.json`].map(file => path.join(config.boundaries.dir, file));
+    const filePath = candidates.find(file => fs.existsSync(file));
+
+    let boundaries = null;
+    if (filePath) {
+        try {
+            const collection = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const neighborhoods = (collection.features || [])
+                .map(feature => ({ name: featureName(feature.properties), geometry: feature.geometry }))
+                .filter(n => n.name && n.geometry && /Polygon$/.test(n.geometry.type))
+                .map(n => ({
+                    ...n,
+                    bbox: boundingBox(n.geometry),
+                    centroid: polygonCentroid(n.geometry),
+                    areaKm2: polygonAreaKm2(n.geometry),
+                }));
+            boundaries = { city, source: path.basename(filePath), neighborhoods };
+            console.log(`🗺️  Loaded ${neighborhoods.length} neighborhood boundaries for ${city} from ${boundaries.source}`);
+        } catch (error) {
+            console.error(`❌ Could not load boundaries from ${filePath}: ${error.message}`);
+        }
+    }
+
+    loaded.set(slug, boundaries);
+    return boundaries;
+}
+
+// Function to find the neighborhood polygon containing a point
+function findNeighborhood(boundaries, point) {
+    if (!boundaries) return null;
+    return boundaries.neighborhoods.find(n => boxContains(n.bbox, point) && pointInPolygon(point, n.geometry)) || null;
+}
+
+// Function to look up a neighborhood polygon by name (case-insensitive)
+function findBoundaryByName(boundaries, name) {
+    if (!boundaries || !name) return null;
+    const target = name.trim().toLowerCase();
+    return boundaries.neighborhoods.find(n => n.name.toLowerCase() === target) || null;
+}
+
+module.exports = {
+    citySlug,
+    locationSlug,
+    loadBoundaries,
+    findNeighborhood,
+    findBoundaryByName,
+};
@@ -0,0 +1,127 @@
+const { normalizeKey } = require('../cache/diskCache');
+
+const PAGE_TOKEN_PREFIX = 'cached-page:';
+// Provider page tokens expire within minutes, so there is no point keeping them longer
+const LIVE_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Wraps a geo provider with a persistent TTL cache.
+//
+// Reverse-geocode lookups are snapped to `snapDecimals` decimal places so
+// points a few meters apart share one entry. Place searches are cached page
+// by page; provider page tokens are swapped for synthetic ones that carry
+// the page number, so a cached first page can be followed by cached later
+// pages of the same search.
+function withCache(provider, { cache, ttl, snapDecimals }) {
+    // Real provider tokens for pages fetched live in this process, oldest first:
+    // key -> { token, expiresAt }
+    const liveTokens = new Map();
+
+    function rememberToken(key, token) {
+        const now = Date.now();
+        // Every entry lives as long, so the expired ones are at the front
+        for (const [oldKey, entry] of liveTokens) {
+            if (entry.expiresAt > now) break;
+            liveTokens.delete(oldKey);
+        }
+        liveTokens.delete(key);
+        liveTokens.set(key, { token, expiresAt: now + LIVE_TOKEN_TTL_MS });
+    }
+
+    function liveToken(key) {
+        const entry = liveTokens.get(key);
+        return entry && entry.expiresAt > Date.now() ? entry.token : null;
+    }
+
+    return {
+        ...provider,
+
+        async geocode(address) {
+            const key = normalizeKey({ address });
+            const cached = cache.get('geocode', key);
+            if (cached !== undefined) return cached;
+
+            const results = await provider.geocode(address);
+            cache.set('geocode', key, results, ttl.geocode);
+            return results;
+        },
+
+        async searchLocalities(query) {
+            const key = normalizeKey({ query });
+            const cached = cache.get('searchLocalities', key);
+            if (cached !== undefined) return cached;
+
+            const results = await provider.searchLocalities(query);
+            cache.set('searchLocalities', key, results, ttl.geocode);
+            return results;
+        },
+
+        async lookupPlace(placeId) {
+            const key = normalizeKey({ placeId });
+            const cached = cache.get('lookupPlace', key);
+            if (cached !== undefined) return cached;
+
+            const results = await provider.lookupPlace(placeId);
+            cache.set('lookupPlace', key, results, ttl.geocode);
+            return results;
+        },
+
+        async reverseGeocode({ lat, lng }) {
+            const snapped = { lat: roundTo(lat, snapDecimals), lng: roundTo(lng, snapDecimals) };
+            const key = normalizeKey(snapped);
+            const cached = cache.get('reverseGeocode', key);
+            if (cached !== undefined) return cached;
+
+            const results = await provider.reverseGeocode({ lat, lng });
+            cache.set('reverseGeocode', key, results, ttl.reverseGeocode);
+            return results;
+        },
+
+        async placesNearby({ location, radius, type, keyword, pageToken }) {
+            const searchKey = normalizeKey({
+                location: { lat: roundTo(location.lat, 5), lng: roundTo(location.lng, 5) },
+                radius,
+                type,
+                keyword,
+            });
+
+            let page = 0;
+            if (pageToken && pageToken.startsWith(PAGE_TOKEN_PREFIX)) {
+                page = parseInt(pageToken.split(':').pop(), 10) || 0;
+            }
+            const key = `${searchKey}#${page}`;
+
+            const cached = cache.get('placesNearby', key);
+            if (cached !== undefined) return cached;
+
+            let realToken = null;
+            if (page > 0) {
+                realToken = liveToken(key);
+                // The previous page came from cache and this one has expired,
+                // so there's no provider token to continue from
+                if (!realToken) return { results: [], nextPageToken: null };
+            }
+
+            const response = await provider.placesNearby({ location, radius, type, keyword, pageToken: realToken });
+            let nextPageToken = null;
+            if (response.nextPageToken) {
+                nextPageToken = `${PAGE_TOKEN_PREFIX}${page + 1}`;
+                rememberToken(`${searchKey}#${page + 1}`, response.nextPageToken);
+            }
+
+            const result = { results: response.results, nextPageToken };
+            cache.set('placesNearby', key, result, ttl.placesNearby);
+            return result;
+        },
+
+        cacheStats() {
+            return cache.stats();
+        },
+    };
+}
+
+module.exports = { withCache };
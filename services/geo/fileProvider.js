@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance, pointInPolygon, boundingBox, polygonCentroid } = require('./geometry');
+const { throwIfAborted } = require('../requestContext');
+
+const PAGE_SIZE = 20;
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function normalizeName(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function viewportContains(viewport, point) {
+    if (!viewport) return false;
+    return point.lat <= viewport.northeast.lat && point.lat >= viewport.southwest.lat &&
+        point.lng <= viewport.northeast.lng && point.lng >= viewport.southwest.lng;
+}
+
+// Geo provider backed by local fixture files, for offline development and demos.
+//
+// Expected layout of `fixturesDir`:
+//   locations.json          geocodable cities/areas (name, aliases, location, viewport, ...)
+//   places.json             points of interest (placeId, name, types, location)
+//   boundaries/*.geojson    neighborhood polygons, one FeatureCollection per city
+function createFileProvider({ fixturesDir }) {
+    let data = null;
+
+    function load() {
+        if (data) return data;
+
+        const boundariesDir = path.join(fixturesDir, 'boundaries');
+        const boundaries = fs.existsSync(boundariesDir)
+            ? fs.readdirSync(boundariesDir)
+                .filter(file => /\.(geo)?json$/i.test(file))
+                .flatMap(file => readJson(path.join(boundariesDir, file), { features: [] }).features || [])
+            : [];
+
+        data = {
+            locations: readJson(path.join(fixturesDir, 'locations.json'), []),
+            places: readJson(path.join(fixturesDir, 'places.json'), []),
+            boundaries,
+        };
+        console.log(`🗂️  Loaded geo fixtures: ${data.locations.length} locations, ${data.places.length} places, ${data.boundaries.length} boundaries`);
+        return data;
+    }
+
+    function toGeocodeResult(location) {
+        return {
+            placeId: location.placeId,
+            formattedAddress: location.formattedAddress || location.name,
+            location: location.location,
+            viewport: location.viewport || null,
+            bounds: location.bounds || null,
+            addressComponents: location.addressComponents || [],
+            types: location.types || ['locality', 'political'],
+        };
+    }
+
+    return {
+        name: 'file',
+
+        async geocode(address) {
+            throwIfAborted();
+            const query = normalizeName(address);
+            const { locations, boundaries } = load();
+
+            // Exact name/alias matches first, then prefix matches
+            const exact = [];
+            const partial = [];
+            for (const location of locations) {
+                const names = [location.name, ...(location.aliases || [])].map(normalizeName);
+                if (names.includes(query)) {
+                    exact.push(location);
+                } else if (names.some(name => name.startsWith(query) || query.startsWith(name))) {
+                    partial.push(location);
+                }
+            }
+            if (exact.length > 0 || partial.length > 0) {
+                return [...exact, ...partial].map(toGeocodeResult);
+            }
+
+            // Fall back to neighborhood boundaries ("Mission District, San Francisco")
+            const neighborhoodName = normalizeName(String(address).split(',')[0]);
+            return boundaries
+                .filter(feature => normalizeName(feature.properties.name) === neighborhoodName)
+                .map(feature => {
+                    const box = boundingBox(feature.geometry);
+                    const extent = {
+                        northeast: { lat: box.maxLat, lng: box.maxLng },
+                        southwest: { lat: box.minLat, lng: box.minLng },
+                    };
+                    return {
+                        placeId: null,
+                        formattedAddress: address,
+                        location: polygonCentroid(feature.geometry),
+                        viewport: extent,
+                        bounds: extent,
+                        addressComponents: [{
+                            long_name: feature.properties.name,
+                            short_name: feature.properties.name,
+                            types: ['neighborhood', 'political'],
+                        }],
+                        types: ['neighborhood', 'political'],
+                    };
+                });
+        },
+
+        // Locations whose name or an alias matches the part of the query before the first comma
+        async searchLocalities(query) {
+            throwIfAborted();
+            const name = normalizeName(String(query).split(',')[0]);
+            return load().locations
+                .filter(location => [location.name, ...(location.aliases || [])]
+                    .some(alias => normalizeName(String(alias).split(',')[0]) === name))
+                .map(toGeocodeResult);
+        },
+
+        async lookupPlace(placeId) {
+            throwIfAborted();
+            return load().locations.filter(location => location.placeId === placeId).map(toGeocodeResult);
+        },
+
+        async reverseGeocode(point) {
+            throwIfAborted();
+            const { locations, boundaries } = load();
+            const components = [];
+
+            const boundary = boundaries.find(feature => pointInPolygon(point, feature.geometry));
+            if (boundary) {
+                components.push({
+                    long_name: boundary.properties.name,
+                    short_name: boundary.properties.name,
+                    types: ['neighborhood', 'political'],
+                });
+            }
+
+            const locality = locations.find(location => viewportContains(location.viewport, point));
+            if (locality) {
+                components.push(...(locality.addressComponents || []));
+            }
+
+            if (components.length === 0) return [];
+
+            return [{
+                placeId: null,
+                formattedAddress: components.map(c => c.long_name).join(', '),
+                location: { lat: point.lat, lng: point.lng },
+                viewport: null,
+                bounds: null,
+                addressComponents: components,
+                types: [components[0].types[0]],
+            }];
+        },
+
+        async placesNearby({ location, radius, type, keyword, pageToken }) {
+            throwIfAborted();
+            const { places } = load();
+            const keywordLower = keyword ? keyword.toLowerCase() : null;
+
+            const matches = places
+                .filter(place => !type || (place.types || []).includes(type))
+                .filter(place => !keywordLower ||
+                    place.name.toLowerCase().includes(keywordLower) ||
+                    (place.types || []).includes(keywordLower))
+                .map(place => ({ place, distance: haversineDistance(location, place.location) }))
+                .filter(({ distance }) => distance <= radius)
+                .sort((a, b) => a.distance - b.distance)
+                .map(({ place }) => ({
+                    placeId: place.placeId,
+                    name: place.name,
+                    location: place.location,
+                    types: place.types || [],
+                }));
+
+            const offset = pageToken ? parseInt(pageToken, 10) || 0 : 0;
+            const nextOffset = offset + PAGE_SIZE;
+            return {
+                results: matches.slice(offset, nextOffset),
+                nextPageToken: nextOffset < matches.length ? String(nextOffset) : null,
+            };
+        },
+    };
+}
+
+module.exports = { createFileProvider };
@@ -0,0 +1,173 @@
+// Small geometry helpers shared by the geo providers
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_METERS) / 180;
+// Largest radius the Places Nearby Search accepts
+const MAX_SEARCH_RADIUS_METERS = 50000;
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in meters between two { lat, lng } points
+function haversineDistance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Ray-casting test against a single GeoJSON linear ring ([lng, lat] pairs)
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const crosses = (yi > point.lat) !== (yj > point.lat) &&
+            point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+// Point-in-polygon for GeoJSON Polygon / MultiPolygon geometries (holes respected)
+function pointInPolygon(point, geometry) {
+    return polygonsOf(geometry).some(([outer, ...holes]) =>
+        pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+    );
+}
+
+function polygonsOf(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    return [];
+}
+
+// Bounding box { minLat, maxLat, minLng, maxLng } of a Polygon / MultiPolygon
+function boundingBox(geometry) {
+    const box = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+    for (const [outer] of polygonsOf(geometry)) {
+        for (const [lng, lat] of outer) {
+            box.minLat = Math.min(box.minLat, lat);
+            box.maxLat = Math.max(box.maxLat, lat);
+            box.minLng = Math.min(box.minLng, lng);
+            box.maxLng = Math.max(box.maxLng, lng);
+        }
+    }
+    return box;
+}
+
+function boxContains(box, point) {
+    return point.lat >= box.minLat && point.lat <= box.maxLat &&
+        point.lng >= box.minLng && point.lng <= box.maxLng;
+}
+
+// Area-weighted centroid of a Polygon / MultiPolygon (outer rings, planar approximation)
+function polygonCentroid(geometry) {
+    const box = boundingBox(geometry);
+    // Work relative to the box corner to keep the cross products well-conditioned
+    const originLng = box.minLng;
+    const originLat = box.minLat;
+    let totalArea = 0;
+    let lat = 0;
+    let lng = 0;
+
+    for (const [outer] of polygonsOf(geometry)) {
+        for (let i = 0, j = outer.length - 1; i < outer.length; j = i++) {
+            const x0 = outer[j][0] - originLng;
+            const y0 = outer[j][1] - originLat;
+            const x1 = outer[i][0] - originLng;
+            const y1 = outer[i][1] - originLat;
+            const cross = x0 * y1 - x1 * y0;
+            totalArea += cross / 2;
+            lng += (x0 + x1) * cross;
+            lat += (y0 + y1) * cross;
+        }
+    }
+
+    if (totalArea === 0) {
+        return { lat: (box.minLat + box.maxLat) / 2, lng: (box.minLng + box.maxLng) / 2 };
+    }
+    return { lat: originLat + lat / (6 * totalArea), lng: originLng + lng / (6 * totalArea) };
+}
+
+// Signed spherical area of a GeoJSON ring in square meters
+function ringArea(ring) {
+    let total = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lng0, lat0] = ring[j];
+        const [lng1, lat1] = ring[i];
+        total += toRadians(lng1 - lng0) * (2 + Math.sin(toRadians(lat0)) + Math.sin(toRadians(lat1)));
+    }
+    return (total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS) / 2;
+}
+
+// Area of a Polygon / MultiPolygon in square kilometers (holes subtracted)
+function polygonAreaKm2(geometry) {
+    const squareMeters = polygonsOf(geometry).reduce((sum, [outer, ...holes]) =>
+        sum + Math.abs(ringArea(outer)) - holes.reduce((h, hole) => h + Math.abs(ringArea(hole)), 0), 0);
+    return squareMeters / 1e6;
+}
+
+// Function to widen a bounding box by `km` on every side
+function expandBox(box, km) {
+    const midLat = (box.minLat + box.maxLat) / 2;
+    const dLat = (km * 1000) / METERS_PER_DEGREE;
+    const dLng = (km * 1000) / (METERS_PER_DEGREE * Math.cos(toRadians(midLat)));
+    return {
+        minLat: box.minLat - dLat,
+        maxLat: box.maxLat + dLat,
+        minLng: box.minLng - dLng,
+        maxLng: box.maxLng + dLng,
+    };
+}
+
+// Function to cover a bounding box with a grid of search circles: [{ location, radius }].
+// Each circle is centered on its grid cell with a radius reaching the cell's
+// corners, so neighbors overlap and the whole box is covered. Starting from
+// `radius` (meters), circles are enlarged until the grid has at most `maxTiles`.
+function tileBox(box, { radius, maxTiles }) {
+    const midLat = (box.minLat + box.maxLat) / 2;
+    const heightMeters = (box.maxLat - box.minLat) * METERS_PER_DEGREE;
+    const widthMeters = (box.maxLng - box.minLng) * METERS_PER_DEGREE * Math.cos(toRadians(midLat));
+
+    let tileRadius = radius;
+    let rows;
+    let cols;
+    for (;;) {
+        // A circle covers a square cell whose half-diagonal is its radius
+        const spacing = tileRadius * Math.SQRT2;
+        rows = Math.max(1, Math.ceil(heightMeters / spacing));
+        cols = Math.max(1, Math.ceil(widthMeters / spacing));
+        if (rows * cols <= maxTiles || tileRadius >= MAX_SEARCH_RADIUS_METERS) break;
+        tileRadius = Math.min(MAX_SEARCH_RADIUS_METERS, tileRadius * 1.25);
+    }
+
+    const cellRadius = Math.ceil(Math.hypot(heightMeters / rows, widthMeters / cols) / 2);
+    const circles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            circles.push({
+                location: {
+                    lat: box.minLat + ((row + 0.5) * (box.maxLat - box.minLat)) / rows,
+                    lng: box.minLng + ((col + 0.5) * (box.maxLng - box.minLng)) / cols,
+                },
+                radius: Math.max(1, cellRadius),
+            });
+        }
+    }
+    return circles;
+}
+
+module.exports = {
+    haversineDistance,
+    pointInPolygon,
+    boundingBox,
+    boxContains,
+    polygonCentroid,
+    polygonAreaKm2,
+    expandBox,
+    tileBox,
+};
@@ -0,0 +1,104 @@
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { currentSignal } = require('../requestContext');
+const { createLimiter } = require('../scheduler');
+
+// Convert a Google geocoding result into the provider-neutral shape
+function normalizeGeocodeResult(result) {
+    return {
+        placeId: result.place_id,
+        formattedAddress: result.formatted_address,
+        location: { lat: result.geometry.location.lat, lng: result.geometry.location.lng },
+        viewport: result.geometry.viewport || null,
+        bounds: result.geometry.bounds || null,
+        addressComponents: result.address_components || [],
+        types: result.types || [],
+    };
+}
+
+// Convert a Google Places result into the provider-neutral shape
+function normalizePlace(place) {
+    return {
+        placeId: place.place_id,
+        name: place.name,
+        location: { lat: place.geometry.location.lat, lng: place.geometry.location.lng },
+        types: place.types || [],
+    };
+}
+
+// Autocomplete predictions looked up per locality search
+const MAX_LOCALITIES = 5;
+
+// Geo provider backed by the Google Maps web services. Every request goes
+// through `limiter` (see services/scheduler.js), which also does the retrying
+// the client library would otherwise do on its own.
+function createGoogleProvider({ apiKey, limiter = createLimiter('Google Maps') }) {
+    const client = new Client({ config: { raxConfig: { retry: 0, noResponseRetries: 0 } } });
+
+    async function geocodePlaceId(placeId) {
+        const response = await limiter.schedule(() => client.geocode({
+            params: { place_id: placeId, key: apiKey },
+            signal: currentSignal(),
+        }), 'geocode');
+        return (response.data.results || []).map(normalizeGeocodeResult);
+    }
+
+    return {
+        name: 'google',
+
+        async geocode(address) {
+            const response = await limiter.schedule(() => client.geocode({
+                params: { address, key: apiKey },
+                signal: currentSignal(),
+            }), 'geocode');
+            return (response.data.results || []).map(normalizeGeocodeResult);
+        },
+
+        async reverseGeocode({ lat, lng }) {
+            const response = await limiter.schedule(() => client.reverseGeocode({
+                params: { latlng: { lat, lng }, key: apiKey },
+                signal: currentSignal(),
+            }), 'reverseGeocode');
+            return (response.data.results || []).map(normalizeGeocodeResult);
+        },
+
+        // Place Autocomplete restricted to cities, then a geocode of each prediction
+        // for its coordinates and bounds
+        async searchLocalities(query) {
+            const response = await limiter.schedule(() => client.placeAutocomplete({
+                params: { input: query, types: '(cities)', key: apiKey },
+                signal: currentSignal(),
+            }), 'placeAutocomplete');
+            const predictions = (response.data.predictions || []).slice(0, MAX_LOCALITIES);
+            const geocoded = await Promise.all(predictions.map(prediction => geocodePlaceId(prediction.place_id)));
+            return geocoded.flatMap(results => results.slice(0, 1));
+        },
+
+        async lookupPlace(placeId) {
+            return geocodePlaceId(placeId);
+        },
+
+        async placesNearby({ location, radius, type, keyword, pageToken }) {
+            const params = { location, radius, key: apiKey };
+            if (type) params.type = type;
+            if (keyword) params.keyword = keyword;
+            if (pageToken) params.pagetoken = pageToken;
+
+            const response = await limiter.schedule(async () => {
+                try {
+                    return await client.placesNearby({ params, signal: currentSignal() });
+                } catch (error) {
+                    // A next_page_token only becomes valid a moment after it's issued;
+                    // until then Google rejects it as INVALID_REQUEST (400)
+                    if (pageToken && error.response && error.response.status === 400) error.retryable = true;
+                    throw error;
+                }
+            }, 'placesNearby');
+            return {
+                results: (response.data.results || []).map(normalizePlace),
+                nextPageToken: response.data.next_page_token || null,
+            };
+        },
+    };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,41 @@
+const config = require('../../config');
+const { createGoogleProvider } = require('./googleProvider');
+const { createFileProvider } = require('./fileProvider');
+const { withCache } = require('./cachedProvider');
+const { createDiskCache } = require('../cache/diskCache');
+const { limiters } = require('../scheduler');
+
+// Every provider implements the same interface:
+//   geocode(address)                  -> [{ placeId, formattedAddress, location, viewport, bounds, addressComponents, types }]
+//                                        (`bounds` is the full extent of the result when known, else null)
+//   reverseGeocode({ lat, lng })      -> same shape as geocode
+//   searchLocalities(query)           -> cities/towns matching a free-text name, most prominent first,
+//                                        in the geocode shape
+//   lookupPlace(placeId)              -> the place with that ID, in the geocode shape ([] if unknown)
+//   placesNearby({ location, radius, type, keyword, pageToken })
+//                                     -> { results: [{ placeId, name, location, types }], nextPageToken }
+// createGeoProvider also adds cacheStats(), which returns hit/miss counts or null when caching is off.
+const providerFactories = {
+    google: () => createGoogleProvider({ apiKey: config.geo.googleApiKey, limiter: limiters.maps }),
+    file: () => createFileProvider({ fixturesDir: config.geo.fixturesDir }),
+};
+
+// Function to build the geo provider selected in config, cached when enabled
+function createGeoProvider(name = config.geo.provider) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown geo provider "${name}" (expected one of: ${Object.keys(providerFactories).join(', ')})`);
+    }
+    const provider = factory();
+
+    if (!config.geo.cache.enabled) {
+        return { ...provider, cacheStats: () => null };
+    }
+
+    const { filePath, ttl, snapDecimals } = config.geo.cache;
+    return withCache(provider, { cache: createDiskCache({ filePath }), ttl, snapDecimals });
+}
+
+module.exports = {
+    createGeoProvider,
+};
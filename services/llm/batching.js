@@ -0,0 +1,51 @@
+const config = require('../../config');
+
+// Splitting of prompt inputs that don't fit one prompt (usually Reddit posts)
+// into batches under a token budget, and running the batches concurrently.
+
+// Rough token count of a text; GPT tokenizers average about 4 characters per token of English
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// Function to split `items` into consecutive batches whose total `tokensOf(item)`
+// stays within `budget`, with at most `maxItems` items each. An item over the
+// budget on its own gets a batch to itself.
+function batchByTokens(items, tokensOf, { budget = config.llm.postTokenBudget, maxItems = Infinity } = {}) {
+    const batches = [];
+    let batch = [];
+    let tokens = 0;
+    for (const item of items) {
+        const itemTokens = tokensOf(item);
+        if (batch.length > 0 && (tokens + itemTokens > budget || batch.length >= maxItems)) {
+            batches.push(batch);
+            batch = [];
+            tokens = 0;
+        }
+        batch.push(item);
+        tokens += itemTokens;
+    }
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+// Function to map `fn(item, index)` over items with at most `limit` calls in
+// flight; resolves with the results in item order
+async function mapConcurrent(items, fn, { limit = config.llm.batchConcurrency } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    estimateTokens,
+    batchByTokens,
+    mapConcurrent,
+};
@@ -0,0 +1,105 @@
+const config = require('../../config');
+const tasks = require('./tasks');
+const { validate } = require('./schema');
+const { UNTRUSTED_CONTENT_NOTICE } = require('./safeguards');
+const { createOpenAIBackend } = require('./openaiBackend');
+const { createMockBackend } = require('./mockBackend');
+const { limiters } = require('../scheduler');
+
+// Every backend implements:
+//   complete({ taskName, input, messages, model, temperature }) -> raw response text
+const backendFactories = {
+    openai: () => createOpenAIBackend({ apiKey: config.llm.openaiApiKey, limiter: limiters.openai }),
+    mock: () => createMockBackend(),
+};
+
+// Thrown when a task still doesn't produce valid output after all retries
+class LLMOutputError extends Error {
+    constructor(taskName, errors, rawText) {
+        super(`LLM task "${taskName}" returned invalid output: ${errors.join('; ')}`);
+        this.name = 'LLMOutputError';
+        this.taskName = taskName;
+        this.errors = errors;
+        this.rawText = rawText;
+    }
+}
+
+// Function to parse JSON out of a model response, tolerating markdown fences
+function parseJsonResponse(text) {
+    const cleaned = String(text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    try {
+        return { value: JSON.parse(cleaned) };
+    } catch (error) {
+        return { error: `Response is not valid JSON (${error.message})` };
+    }
+}
+
+// Function to build the LLM service used by every prompt in the pipeline
+function createLLMService({
+    backend = config.llm.backend,
+    model = config.llm.model,
+    maxRetries = config.llm.maxRetries,
+} = {}) {
+    const factory = backendFactories[backend];
+    if (!factory) {
+        throw new Error(`Unknown LLM backend "${backend}" (expected one of: ${Object.keys(backendFactories).join(', ')})`);
+    }
+    const client = factory();
+
+    // Run a named task, validating the output against the task schema and
+    // retrying with the validation errors fed back to the model
+    async function runTask(taskName, input, options = {}) {
+        const task = tasks[taskName];
+        if (!task) {
+            throw new Error(`Unknown LLM task "${taskName}"`);
+        }
+
+        const messages = [
+            { role: 'system', content: UNTRUSTED_CONTENT_NOTICE },
+            { role: 'user', content: task.prompt(input) },
+        ];
+        let lastErrors = [];
+        let lastText = null;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            lastText = await client.complete({
+                taskName,
+                input,
+                messages,
+                model: options.model || model,
+                temperature: options.temperature ?? task.temperature,
+            });
+
+            const parsed = parseJsonResponse(lastText);
+            lastErrors = parsed.error
+                ? [parsed.error]
+                : [...validate(task.schema, parsed.value), ...(task.check ? task.check(parsed.value, input) : [])];
+
+            if (lastErrors.length === 0) {
+                return parsed.value;
+            }
+
+            console.warn(`  ⚠️  ${taskName} attempt ${attempt + 1} invalid: ${lastErrors.join('; ')}`);
+            messages.push(
+                { role: 'assistant', content: lastText },
+                {
+                    role: 'user',
+                    content: `Your previous response did not match the required format:\n- ${lastErrors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON.`,
+                },
+            );
+        }
+
+        throw new LLMOutputError(taskName, lastErrors, lastText);
+    }
+
+    return {
+        backend: client.name,
+        model,
+        runTask,
+    };
+}
+
+module.exports = {
+    createLLMService,
+    LLMOutputError,
+};
@@ -0,0 +1,273 @@
+const { AMENITY_TYPES, detectAmenityTypes } = require('../amenityTypes');
+const { detectAspects } = require('../aspectTypes');
+const { throwIfAborted } = require('../requestContext');
+
+// Deterministic stand-in for the OpenAI backend. Each task gets a small
+// rule-based responder that works from the same input the real prompt is
+// built from, so the whole pipeline can run offline and reproducibly.
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'area', 'areas', 'for', 'from', 'have', 'i', 'in', 'is', 'it',
+    'like', 'looking', 'me', 'my', 'near', 'of', 'on', 'or', 'place', 'the', 'to', 'want',
+    'with', 'would', 'close', 'good', 'lots', 'some', 'that', 'this',
+]);
+
+const QUALITATIVE_WORDS = ['quiet', 'safe', 'clean', 'walkable', 'friendly', 'affordable', 'family', 'nightlife', 'diverse', 'trendy'];
+const POSITIVE_WORDS = ['quiet', 'safe', 'clean', 'walkable', 'friendly', 'great', 'love', 'nice', 'beautiful', 'recommend', 'best', 'peaceful', 'charming'];
+const NEGATIVE_WORDS = ['noisy', 'loud', 'unsafe', 'crime', 'dirty', 'expensive', 'parking', 'sketchy', 'traffic', 'homeless', 'break-ins', 'avoid', 'rent'];
+
+// Extra sentiment cues for aspect mentions ("affordable" rent, parking is a "nightmare")
+const ASPECT_POSITIVE_WORDS = [...POSITIVE_WORDS, 'affordable', 'cheap', 'easy', 'lively', 'fun'];
+const ASPECT_NEGATIVE_WORDS = [...NEGATIVE_WORDS, 'nightmare', 'impossible', 'pricey', 'dead', 'brutal', 'slow'];
+
+const KNOWN_BRANDS = {
+    gym: ['Crunch Fitness', 'Planet Fitness', '24 Hour Fitness', 'LA Fitness', 'Equinox'],
+    grocery_or_supermarket: ['Whole Foods', "Trader Joe's", 'Safeway'],
+};
+
+// Metro areas the offline fixtures cover, by lowercase name
+const METRO_AREAS = {
+    'bay area': ['San Francisco', 'Oakland'],
+    'sf bay area': ['San Francisco', 'Oakland'],
+    'san francisco bay area': ['San Francisco', 'Oakland'],
+};
+
+const NOT_NEIGHBORHOODS = new Set([
+    'Title', 'Content', 'Subreddit', 'Top', 'The', 'I', 'We', 'My', 'It', 'If', 'Is', 'Any', 'Anyone', 'What', 'Where',
+    'Which', 'How', 'Looking', 'Moving', 'Reddit', 'Honest', 'Best', 'Great', 'Love', 'Avoid', 'Skip', 'Get', 'Try',
+    'Just', 'Both', 'Lots', 'Thinking', 'Want', 'Work', 'Safest', 'Apartment', 'Budget', 'Downsides',
+]);
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+function sentences(text) {
+    return String(text || '').split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.replace(/^(?:- |Title: |Content: )/, '').trim())
+        .filter(Boolean);
+}
+
+function postText(post) {
+    return `${post.title}\n${post.text}`;
+}
+
+// Sentences across all posts, each remembering which post it came from
+function postSentences(posts) {
+    return posts.flatMap(post => sentences(postText(post)).map(text => ({ text, postId: post.id })));
+}
+
+// Function to collect up to `limit` sentences about each neighborhood that pass
+// `keep`, citing the post each came from
+function citedSentences(neighborhoods, posts, keep, limit) {
+    const all = postSentences(posts);
+    const result = {};
+    for (const neighborhood of neighborhoods) {
+        result[neighborhood] = all
+            .filter(s => s.text.toLowerCase().includes(neighborhood.toLowerCase()) && keep(s.text))
+            .slice(0, limit)
+            .map(s => ({
+                text: s.text.length > 120 ? `${s.text.substring(0, 117)}...` : s.text,
+                postIds: [s.postId],
+            }));
+    }
+    return result;
+}
+
+// The posts a scoring task works from; per-neighborhood summaries (see
+// summarizeNeighborhoodPosts) are read as one short post per note
+function evidencePosts({ posts, summaries }) {
+    if (!summaries) return posts;
+    return Object.entries(summaries).flatMap(([neighborhood, notes]) => notes
+        .filter(note => note.postIds.length > 0)
+        .map(note => ({
+            id: note.postIds[0],
+            title: '',
+            text: note.text.toLowerCase().includes(neighborhood.toLowerCase()) ? note.text : `${neighborhood}: ${note.text}`,
+        })));
+}
+
+function countWords(text, list) {
+    const lower = text.toLowerCase();
+    return list.filter(word => lower.includes(word)).length;
+}
+
+const responders = {
+    identifyKeywords: ({ preferences }) => {
+        const keywords = [...new Set(words(preferences).filter(w => w.length > 2 && !STOPWORDS.has(w)))];
+        return keywords.length > 0 ? keywords : ['neighborhood', 'living', 'area'];
+    },
+
+    parsePreferences: ({ city, preferences }) => {
+        const parts = String(preferences).split(/,|\band\b/).map(p => p.trim()).filter(Boolean);
+        return {
+            preferences: parts,
+            redditQueries: parts.length > 0
+                ? parts.map(p => `${p} neighborhoods ${city}`)
+                : [`best neighborhoods to live in ${city}`],
+        };
+    },
+
+    extractAmenities: ({ preferences }) => {
+        const lower = String(preferences).toLowerCase();
+        const types = new Set(detectAmenityTypes(preferences));
+        const specificNames = {};
+
+        for (const [type, brands] of Object.entries(KNOWN_BRANDS)) {
+            const mentioned = brands.filter(brand => lower.includes(brand.toLowerCase()));
+            if (mentioned.length > 0) {
+                types.add(type);
+                specificNames[type] = mentioned;
+            }
+        }
+
+        return {
+            amenities: Object.keys(AMENITY_TYPES)
+                .filter(type => types.has(type))
+                .map(type => ({ type, specificNames: specificNames[type] || [] })),
+        };
+    },
+
+    extractBudget: ({ preferences }) => {
+        const text = String(preferences).toLowerCase();
+        const budget = {};
+
+        // "$2,500", "2.5k", "2500/month"; a range keeps its upper end
+        const amounts = [...text.matchAll(/\$\s*(\d[\d,]*(?:\.\d+)?)\s*(k\b)?|(\d+(?:\.\d+)?)\s*k\b|(\d[\d,]*)\s*(?:\/\s*mo|per month|a month)/g)]
+            .map(m => parseFloat((m[1] || m[3] || m[4]).replace(/,/g, '')) * (m[2] || m[3] ? 1000 : 1))
+            .filter(amount => amount >= 100);
+        if (amounts.length > 0) budget.maxRent = Math.max(...amounts);
+
+        const numbers = { one: 1, two: 2, three: 3, four: 4 };
+        const bedrooms = text.match(/\b(\d|one|two|three|four)[\s-]*(?:br|bd|bed(?:room)?s?)\b/);
+        if (bedrooms) budget.bedrooms = numbers[bedrooms[1]] ?? parseInt(bedrooms[1], 10);
+        else if (text.includes('studio')) budget.bedrooms = 0;
+
+        budget.preferLowRent = /\b(?:affordable|cheap|inexpensive|low rent|budget-friendly)\b/.test(text);
+        return budget;
+    },
+
+    metroLocalities: ({ metro, limit }) => (METRO_AREAS[String(metro).trim().toLowerCase()] || [metro]).slice(0, limit),
+
+    refineSearch: ({ preferences, message, amenitiesNeeded, ranking }) => {
+        // "#2" names the second-ranked neighborhood
+        const resolved = String(message).replace(/#(\d+)/g, (match, n) => ranking[n - 1] || match);
+        const lower = resolved.toLowerCase();
+        const clauses = resolved.split(/,|;|\band\b|\bbut\b/i);
+        const removing = clauses.filter(c => /\b(?:drop|remove|no|without|skip)\b/i.test(c));
+        const adding = clauses.filter(c => !removing.includes(c)).map(c => c.trim()).filter(Boolean);
+        const removeAmenities = [...new Set(removing.flatMap(detectAmenityTypes))]
+            .filter(type => amenitiesNeeded.includes(type));
+
+        // Keep the earlier preferences that don't mention a dropped amenity
+        const kept = String(preferences).split(',').map(p => p.trim())
+            .filter(p => p && !detectAmenityTypes(p).some(type => removeAmenities.includes(type)));
+
+        return {
+            preferences: [...kept, ...adding].join(', '),
+            addAmenities: [...new Set(adding.flatMap(detectAmenityTypes))]
+                .filter(type => !amenitiesNeeded.includes(type))
+                .map(type => ({ type, specificNames: [] })),
+            removeAmenities,
+            qualitativeChanged: /\blike\b/.test(lower) || QUALITATIVE_WORDS.some(word => lower.includes(word)),
+            budgetChanged: /\$|\d\s*k\b|rent|budget|bed|\bbr\b|studio|cheap|afford/.test(lower),
+        };
+    },
+
+    extractNeighborhoods: ({ city, posts }) => {
+        const counts = {};
+        const matches = posts.map(postText).join('\n').match(/\b[A-Z][a-z]+(?:[ -][A-Z][a-z]+){0,2}\b/g) || [];
+        for (const match of matches) {
+            if (NOT_NEIGHBORHOODS.has(match) || match.toLowerCase() === String(city).split(',')[0].trim().toLowerCase()) continue;
+            counts[match] = (counts[match] || 0) + 1;
+        }
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, 10)
+            .map(([name]) => name);
+    },
+
+    qualitativeQueries: ({ city, preferences }) => {
+        const found = QUALITATIVE_WORDS.filter(word => String(preferences).toLowerCase().includes(word));
+        return found.length > 0
+            ? found.map(word => `${word} neighborhoods ${city}`)
+            : [`best neighborhoods to live in ${city}`];
+    },
+
+    filterPosts: ({ preferences, posts }) => {
+        const preferenceWords = words(preferences)
+            .filter(w => w.length > 3 && !STOPWORDS.has(w))
+            .map(w => w.replace(/s$/, ''));
+
+        return posts.map((post, i) => {
+            const postWords = words(postText(post)).map(w => w.replace(/s$/, ''));
+            const shared = preferenceWords.filter(w => postWords.includes(w));
+            const aboutNeighborhoods = /neighbo(u)?rhood|live|living|area/i.test(postText(post));
+            const isRelevant = shared.length > 0 || aboutNeighborhoods;
+            return {
+                postIndex: i + 1,
+                isRelevant,
+                reason: shared.length > 0
+                    ? `Mentions ${shared.join(', ')}`
+                    : aboutNeighborhoods ? 'Discusses living in the area' : 'No overlap with preferences',
+            };
+        });
+    },
+
+    summarizeNeighborhoodPosts: ({ neighborhoods, posts }) => citedSentences(neighborhoods, posts, () => true, 5),
+
+    scoreQualitative: ({ neighborhoods, ...evidence }) => {
+        const scores = {};
+        const all = evidencePosts(evidence).flatMap(post => sentences(postText(post)));
+        for (const neighborhood of neighborhoods) {
+            const mentions = all.filter(s => s.toLowerCase().includes(neighborhood.toLowerCase()));
+            const sentiment = mentions.reduce((sum, s) => sum + countWords(s, POSITIVE_WORDS) - countWords(s, NEGATIVE_WORDS), 0);
+            const score = 0.5 + Math.min(mentions.length, 3) * 0.05 + sentiment * 0.1;
+            scores[neighborhood] = Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+        }
+        return scores;
+    },
+
+    extractAspectMentions: ({ neighborhoods, posts }) => {
+        const mentions = [];
+        for (const { text, postId } of postSentences(posts)) {
+            const lower = text.toLowerCase();
+            const positive = countWords(text, ASPECT_POSITIVE_WORDS);
+            const negative = countWords(text, ASPECT_NEGATIVE_WORDS);
+            if (positive + negative === 0) continue;
+            const sentiment = Math.round(((positive - negative) / (positive + negative)) * 100) / 100;
+
+            for (const neighborhood of neighborhoods.filter(n => lower.includes(n.toLowerCase()))) {
+                for (const aspect of detectAspects(text)) {
+                    mentions.push({ postId, neighborhood, aspect, sentiment });
+                }
+            }
+        }
+        return mentions;
+    },
+
+    identifyStrengths: ({ neighborhoods, ...evidence }) =>
+        citedSentences(neighborhoods, evidencePosts(evidence), s => countWords(s, POSITIVE_WORDS) > countWords(s, NEGATIVE_WORDS), 3),
+
+    // With rent data in the prompt, cost complaints are left to the rent figures
+    identifyConcerns: ({ neighborhoods, rents = {}, ...evidence }) => citedSentences(neighborhoods, evidencePosts(evidence), s =>
+        countWords(s, NEGATIVE_WORDS) > 0 && !(Object.keys(rents).length > 0 && detectAspects(s).includes('cost')), 2),
+};
+
+// LLM backend that answers every task deterministically without any network access
+function createMockBackend() {
+    return {
+        name: 'mock',
+
+        async complete({ taskName, input }) {
+            throwIfAborted();
+            const responder = responders[taskName];
+            if (!responder) {
+                throw new Error(`Mock LLM backend has no responder for task "${taskName}"`);
+            }
+            return JSON.stringify(responder(input));
+        },
+    };
+}
+
+module.exports = { createMockBackend };
@@ -0,0 +1,25 @@
+const OpenAI = require('openai');
+const { currentSignal } = require('../requestContext');
+const { createLimiter } = require('../scheduler');
+
+// LLM backend that sends chat completions to the OpenAI API. Requests go
+// through `limiter` (see services/scheduler.js), which does the retrying
+// instead of the SDK.
+function createOpenAIBackend({ apiKey, limiter = createLimiter('OpenAI') }) {
+    const openai = new OpenAI({ apiKey, maxRetries: 0 });
+
+    return {
+        name: 'openai',
+
+        async complete({ taskName, messages, model, temperature }) {
+            const response = await limiter.schedule(() => openai.chat.completions.create({
+                model,
+                messages,
+                temperature,
+            }, { signal: currentSignal() }), taskName);
+            return response.choices[0].message.content;
+        },
+    };
+}
+
+module.exports = { createOpenAIBackend };
@@ -0,0 +1,70 @@
+// Minimal JSON-schema subset validator for LLM task outputs.
+//
+// Supported keywords: type (object, array, string, number, integer, boolean),
+// properties, required, additionalProperties (schema for map values), items,
+// minItems, maxItems, minimum, maximum, enum.
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+// Function to validate a value, returning a list of human-readable errors (empty when valid)
+function validate(schema, value, pointer = '$') {
+    const errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${pointer} should be ${schema.type} but got ${typeOf(value)}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${pointer} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${pointer} should be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${pointer} should be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${pointer} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${pointer} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${pointer}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${pointer}.${key} is required`);
+        }
+        const properties = schema.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validate(properties[key], item, `${pointer}.${key}`));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, item, `${pointer}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,422 @@
+const { AMENITY_TYPES } = require('../amenityTypes');
+const { ASPECTS } = require('../aspectTypes');
+const { fence } = require('./safeguards');
+
+// Each LLM task defines its prompt, sampling temperature and the JSON schema
+// its output must satisfy. `check` adds input-dependent validation that a
+// schema alone can't express; it returns a list of error strings.
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// Statements that must point back at the posts they came from
+const citedStatements = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['text', 'postIds'],
+        properties: {
+            text: { type: 'string' },
+            postIds: stringArray,
+        },
+    },
+};
+
+// Render post records for a prompt, each tagged with the ID the model cites it by
+function formatPosts(posts) {
+    if (posts.length === 0) return 'Limited Reddit posts found.';
+    return posts.map(p => `[${p.id}] ${fence(`r/${p.subreddit}: ${p.title}\n${p.text}`, `post ${p.id}`)}`).join('\n\n');
+}
+
+// Render the evidence for a neighborhood scoring prompt: the posts, or the
+// per-neighborhood notes summarized from them when they don't fit one prompt
+// (see summarizePostsForScoring in services/reddit.js). Both cite posts by ID.
+function formatEvidence({ posts, summaries }) {
+    if (!summaries) {
+        return `Reddit posts (each starts with its ID in brackets):\n${formatPosts(posts)}`;
+    }
+    const sections = Object.entries(summaries).map(([neighborhood, notes]) => `${neighborhood}:\n${notes.length > 0
+        ? fence(notes.map(note => `- ${note.text} [${note.postIds.join(', ')}]`).join('\n'), `notes ${neighborhood}`)
+        : '- Not discussed'}`);
+    return `Notes summarized from Reddit posts, per neighborhood (each ends with the IDs of the posts it comes from):\n${sections.join('\n\n')}`;
+}
+
+// Reject neighborhoods that weren't among the candidates sent, so that text in
+// the posts can't add or rename any
+function checkNeighborhoodKeys(output, { neighborhoods }) {
+    const names = new Set(neighborhoods.map(n => n.toLowerCase()));
+    return Object.keys(output)
+        .filter(name => !names.has(name.toLowerCase()))
+        .map(name => `"${name}" is not one of the neighborhoods`);
+}
+
+// Reject citations of posts the model was never shown, and unknown neighborhoods
+function checkCitations(output, input) {
+    const ids = new Set(input.posts.map(p => p.id));
+    return [
+        ...checkNeighborhoodKeys(output, input),
+        ...Object.entries(output).flatMap(([neighborhood, statements]) => statements
+            .flatMap(statement => statement.postIds)
+            .filter(id => !ids.has(id))
+            .map(id => `${neighborhood} cites unknown post ID "${id}"`)),
+    ];
+}
+
+const tasks = {
+    identifyKeywords: {
+        temperature: 0.7,
+        schema: { ...stringArray, minItems: 1 },
+        prompt: ({ preferences }) => `Extract the key characteristics/keywords from these preferences: ${fence(preferences, 'preferences')}
+
+Return as JSON array of keywords:
+["keyword1", "keyword2", ...]
+
+Examples: "close to gyms" -> ["gyms", "fitness", "exercise"]
+"safe neighborhoods" -> ["safe", "safety", "crime"]
+"quiet area" -> ["quiet", "peaceful", "noise"]`,
+    },
+
+    parsePreferences: {
+        temperature: 0.7,
+        schema: {
+            type: 'object',
+            required: ['preferences', 'redditQueries'],
+            properties: {
+                preferences: stringArray,
+                redditQueries: { ...stringArray, minItems: 1 },
+            },
+        },
+        prompt: ({ city, preferences }) => `The user wants to stay in ${city} with these preferences: ${fence(preferences, 'preferences')}
+
+Extract the key preferences and suggest NEIGHBORHOOD-FOCUSED Reddit search queries.
+Focus on finding neighborhood recommendations, living conditions, and area-specific discussions.
+Avoid queries that are too specific about brands or services.
+
+Return as JSON with this format:
+{
+  "preferences": ["preference1", "preference2", ...],
+  "redditQueries": ["search query 1 (neighborhood focused)", "search query 2 (neighborhood focused)", ...]
+}`,
+    },
+
+    extractAmenities: {
+        temperature: 0.5,
+        schema: {
+            type: 'object',
+            required: ['amenities'],
+            properties: {
+                amenities: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            type: { type: 'string', enum: Object.keys(AMENITY_TYPES) },
+                            specificNames: stringArray,
+                        },
+                    },
+                },
+            },
+        },
+        prompt: ({ preferences }) => `From these user preferences: ${fence(preferences, 'preferences')}
+
+Extract both:
+1. The TYPES of amenities (gym, grocery, etc.)
+2. The SPECIFIC BRANDS/NAMES if mentioned (e.g., "Crunch Fitness", "Whole Foods", "BART")
+
+Return as JSON:
+{
+  "amenities": [
+    {
+      "type": "gym",
+      "specificNames": ["Crunch Fitness", "Planet Fitness"]
+    },
+    {
+      "type": "grocery_or_supermarket",
+      "specificNames": ["Whole Foods"]
+    }
+  ]
+}
+
+Type mappings:
+${Object.entries(AMENITY_TYPES).map(([type, keywords]) => `- ${keywords.join('/')} -> "${type}"`).join('\n')}
+
+Only include amenities they actually mentioned or implied.
+If no specific names mentioned, use empty array for specificNames.`,
+    },
+
+    extractBudget: {
+        temperature: 0.2,
+        schema: {
+            type: 'object',
+            properties: {
+                maxRent: { type: 'number', minimum: 0 },
+                bedrooms: { type: 'integer', minimum: 0, maximum: 10 },
+                preferLowRent: { type: 'boolean' },
+            },
+        },
+        prompt: ({ preferences }) => `From these user preferences: ${fence(preferences, 'preferences')}
+
+Extract the user's housing budget:
+- "maxRent": the most they want to pay in rent, in dollars per month. Convert "2.5k" to 2500 and yearly amounts to monthly. For a range, use the upper end.
+- "bedrooms": the number of bedrooms they need (0 for a studio)
+- "preferLowRent": true if they want somewhere cheap or affordable
+
+Return as JSON, leaving out anything they didn't mention:
+{ "maxRent": 2500, "bedrooms": 1, "preferLowRent": false }`,
+    },
+
+    metroLocalities: {
+        temperature: 0.2,
+        schema: { ...stringArray, minItems: 1 },
+        prompt: ({ metro, limit }) => `A user is relocating to this metro area and hasn't picked a city yet:
+${fence(metro, 'metro')}
+
+List up to ${limit} cities or towns in that metro area where people commonly look for housing, most populous first.
+Name each the way it would be geocoded, with the state or country if needed ("Oakland, CA").
+If the area is already a single city, return just that city.
+
+Return as JSON array: ["City 1", "City 2"]`,
+        check: (output) => output.filter(city => !city.trim()).map(() => 'city names must not be empty'),
+    },
+
+    refineSearch: {
+        temperature: 0.3,
+        schema: {
+            type: 'object',
+            required: ['preferences', 'addAmenities', 'removeAmenities', 'qualitativeChanged', 'budgetChanged'],
+            properties: {
+                preferences: { type: 'string' },
+                addAmenities: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            type: { type: 'string', enum: Object.keys(AMENITY_TYPES) },
+                            specificNames: stringArray,
+                        },
+                    },
+                },
+                removeAmenities: { type: 'array', items: { type: 'string', enum: Object.keys(AMENITY_TYPES) } },
+                qualitativeChanged: { type: 'boolean' },
+                budgetChanged: { type: 'boolean' },
+            },
+        },
+        check: (output, { amenitiesNeeded }) => output.removeAmenities
+            .filter(type => !amenitiesNeeded.includes(type))
+            .map(type => `removeAmenities lists "${type}", which the search didn't request`),
+        prompt: ({ city, preferences, message, amenitiesNeeded, ranking }) => `The user searched for neighborhoods in ${city} with these preferences: ${fence(preferences, 'preferences')}
+Requested amenity types: ${amenitiesNeeded.join(', ') || 'none'}
+
+Results, best match first:
+${ranking.map((name, i) => `#${i + 1} ${name}`).join('\n')}
+
+They followed up with:
+${fence(message, 'follow-up')}
+
+Work out what the follow-up changes:
+- "preferences": the full updated preferences as a standalone request. Replace references like "#2" or "the second one" with the neighborhood's name.
+- "addAmenities": amenity types to add, with any specific brands/names
+- "removeAmenities": requested amenity types to drop
+- "qualitativeChanged": true if what they want from the area itself (quiet, safe, vibe, ...) changed
+- "budgetChanged": true if their rent, budget or bedroom needs changed
+
+Type mappings:
+${Object.entries(AMENITY_TYPES).map(([type, keywords]) => `- ${keywords.join('/')} -> "${type}"`).join('\n')}
+
+Return as JSON:
+{
+  "preferences": "close to parks, quiet, similar to Noe Valley",
+  "addAmenities": [{ "type": "park", "specificNames": [] }],
+  "removeAmenities": ["gym"],
+  "qualitativeChanged": true,
+  "budgetChanged": false
+}`,
+    },
+
+    extractNeighborhoods: {
+        temperature: 0.5,
+        schema: stringArray,
+        prompt: ({ city, posts }) => `From these Reddit posts about ${city}, extract the names of neighborhoods/areas mentioned:
+
+${formatPosts(posts)}
+
+Return as JSON array of neighborhood names: ["neighborhood1", "neighborhood2", ...]
+Only include specific neighborhood names, not generic terms.`,
+    },
+
+    qualitativeQueries: {
+        temperature: 0.7,
+        schema: { ...stringArray, minItems: 1 },
+        prompt: ({ city, preferences }) => `The user wants to stay in ${city} with these preferences: ${fence(preferences, 'preferences')}
+
+Generate Reddit search queries focused on QUALITATIVE aspects (quiet, clean, safe, etc).
+Ignore amenity-specific queries - those are handled separately.
+
+Return as JSON array like: ["quiet neighborhoods ${city}", "safest neighborhoods ${city}"]`,
+    },
+
+    filterPosts: {
+        temperature: 0.5,
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['postIndex', 'isRelevant'],
+                properties: {
+                    postIndex: { type: 'integer', minimum: 1 },
+                    isRelevant: { type: 'boolean' },
+                    reason: { type: 'string' },
+                },
+            },
+        },
+        check: (output, { posts }) => output
+            .filter(entry => entry.postIndex > posts.length)
+            .map(entry => `postIndex ${entry.postIndex} is out of range (there are ${posts.length} posts)`),
+        prompt: ({ preferences, posts }) => `Given these user preferences: ${fence(preferences, 'preferences')}
+
+Analyze EACH of these Reddit posts. For each post, answer:
+1. Is this post relevant to finding neighborhoods based on the preferences?
+2. Does it discuss the city's neighborhoods, living conditions, or specific areas?
+
+Posts to analyze:
+${posts.map((p, i) => `POST ${i + 1}: ${fence(`${p.title}\n${p.text}`, `post ${i + 1}`)}`).join('\n\n')}
+
+Return as JSON array with one object per post:
+[
+  { "postIndex": 1, "isRelevant": true/false, "reason": "brief reason" },
+  ...
+]`,
+    },
+
+    summarizeNeighborhoodPosts: {
+        temperature: 0.3,
+        schema: {
+            type: 'object',
+            additionalProperties: citedStatements,
+        },
+        check: checkCitations,
+        prompt: ({ city, preferences, neighborhoods, posts }) => `Summarize what these Reddit posts about ${city} say about these neighborhoods: "${neighborhoods.join('", "')}"
+The notes will be used to score the neighborhoods for someone with these preferences: ${fence(preferences, 'preferences')}
+
+Reddit posts (each starts with its ID in brackets):
+${formatPosts(posts)}
+
+For each neighborhood, write up to 5 short notes on what the posts say about it, both good and bad,
+favoring what matters for the preferences. Every note must cite the IDs of the posts it comes from.
+
+Return as JSON object: { "neighborhoodName": [{ "text": "note", "postIds": ["abc123"] }], ... }
+Only use the neighborhood names listed above, and only what the posts say.
+Return empty array for a neighborhood the posts don't mention.`,
+    },
+
+    scoreQualitative: {
+        temperature: 0.7,
+        schema: {
+            type: 'object',
+            additionalProperties: { type: 'number', minimum: 0, maximum: 1 },
+        },
+        check: checkNeighborhoodKeys,
+        prompt: ({ city, preferences, neighborhoods, ...evidence }) => `Based on Reddit discussions about ${city} neighborhoods and the user's preferences,
+${fence(preferences, 'preferences')}
+
+score these neighborhoods on qualitative match (0-1):
+
+Neighborhoods to score: "${neighborhoods.join('", "')}"
+
+${formatEvidence(evidence)}
+
+Return as JSON object: { "neighborhoodName": 0.85, ... }
+Consider factors like: quiet, clean, safe, friendly, walkable, etc.
+Use values between 0 and 1.`,
+    },
+
+    extractAspectMentions: {
+        temperature: 0.3,
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['postId', 'neighborhood', 'aspect', 'sentiment'],
+                properties: {
+                    postId: { type: 'string' },
+                    neighborhood: { type: 'string' },
+                    aspect: { type: 'string', enum: Object.keys(ASPECTS) },
+                    sentiment: { type: 'number', minimum: -1, maximum: 1 },
+                },
+            },
+        },
+        check: (output, { neighborhoods, posts }) => {
+            const ids = new Set(posts.map(p => p.id));
+            const names = new Set(neighborhoods.map(n => n.toLowerCase()));
+            return output.flatMap((mention, i) => [
+                ...(ids.has(mention.postId) ? [] : [`$[${i}].postId "${mention.postId}" is not one of the posts`]),
+                ...(names.has(mention.neighborhood.toLowerCase()) ? [] : [`$[${i}].neighborhood "${mention.neighborhood}" is not one of the neighborhoods`]),
+            ]);
+        },
+        prompt: ({ city, neighborhoods, posts }) => `Read these Reddit posts about ${city} and extract every opinion they express about
+these neighborhoods: "${neighborhoods.join('", "')}"
+
+Only record opinions about these aspects: ${Object.keys(ASPECTS).join(', ')}.
+
+Reddit posts (each starts with its ID in brackets):
+${formatPosts(posts)}
+
+Return as JSON array with one object per (post, neighborhood, aspect) opinion:
+[
+  { "postId": "abc123", "neighborhood": "Mission District", "aspect": "noise", "sentiment": -0.8 },
+  ...
+]
+sentiment runs from -1 (very negative, e.g. "really loud at night") to 1 (very positive, e.g. "super quiet").
+Only use the neighborhood names listed above. Return [] if the posts express no such opinions.`,
+    },
+
+    identifyStrengths: {
+        temperature: 0.7,
+        schema: {
+            type: 'object',
+            additionalProperties: citedStatements,
+        },
+        check: checkCitations,
+        prompt: ({ city, preferences, neighborhoods, ...evidence }) => `Based on Reddit discussions about ${city} neighborhoods and the user's preferences,
+${fence(preferences, 'preferences')}
+
+identify what people say these neighborhoods do well: "${neighborhoods.join('", "')}"
+
+${formatEvidence(evidence)}
+
+For each neighborhood, list 1-3 strengths relevant to the preferences. Every strength must cite
+the IDs of the posts that support it.
+
+Return as JSON object: { "neighborhoodName": [{ "text": "strength", "postIds": ["abc123"] }], ... }
+Only include strengths stated in the posts above.
+Return empty array if the posts don't say anything positive about a neighborhood.`,
+    },
+
+    identifyConcerns: {
+        temperature: 0.7,
+        schema: {
+            type: 'object',
+            additionalProperties: citedStatements,
+        },
+        check: checkCitations,
+        prompt: ({ city, preferences, neighborhoods, rents = {}, ...evidence }) => `Based on Reddit discussions about ${city} neighborhoods and the user's preferences,
+${fence(preferences, 'preferences')}
+
+identify specific concerns or potential downsides for these neighborhoods: "${neighborhoods.join('", "')}"
+
+${formatEvidence(evidence)}
+${Object.keys(rents).length > 0 ? `
+Typical monthly rents from housing data (these cover cost, so don't raise rent or price concerns):
+${Object.entries(rents).map(([name, rent]) => `- ${name}: ${rent}`).join('\n')}
+` : ''}
+For each neighborhood, list 1-2 legitimate concerns (e.g., high rent, parking issues, long commute, noise, safety concerns, lack of public transit, etc.)
+Every concern must cite the IDs of the posts that mention it.
+
+Return as JSON object: { "neighborhoodName": [{ "text": "concern", "postIds": ["abc123"] }], ... }
+Only include concerns mentioned in the posts above.
+Return empty array if no concerns found.`,
+    },
+};
+
+module.exports = tasks;
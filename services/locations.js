@@ -0,0 +1,142 @@
+const config = require('../config');
+const { geo } = require('./clients');
+
+// Resolution of the free-text `city` of a request to one canonical location.
+//
+// Candidates come from the geo provider's locality search. A candidate matches
+// the query when its name equals the part before the first comma and every
+// later part ("OR", "Maine", "USA") names its region or country. When several
+// candidates match, the query is ambiguous ("Portland", "Springfield") unless
+// one is far bigger than the rest (by the area of its bounds), as
+// "San Francisco" in California is next to the town in Argentina.
+
+const MAX_CANDIDATES = 5;
+
+// Error for a location that can't be resolved; `status` is the HTTP status to
+// send and `candidates` the locations to choose from (for 409 ambiguity)
+class LocationError extends Error {
+    constructor(message, status = 400, candidates = []) {
+        super(message);
+        this.name = 'LocationError';
+        this.status = status;
+        this.candidates = candidates;
+    }
+}
+
+function normalize(value) {
+    return String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function component(result, type) {
+    return (result.addressComponents || []).find(c => c.types.includes(type)) || null;
+}
+
+function boxAreaKm2(bounds) {
+    if (!bounds) return 0;
+    const { northeast, southwest } = bounds;
+    const midLat = (northeast.lat + southwest.lat) / 2;
+    return (northeast.lat - southwest.lat) * 111.32 *
+        (northeast.lng - southwest.lng) * 111.32 * Math.cos(midLat * Math.PI / 180);
+}
+
+// Function to turn a geocode-shaped result into a location candidate:
+//   { name, region, regionCode, country, countryCode, label, formattedAddress, location, bounds, placeId }
+// `label` ("Portland, OR" in the US, "Paris, France" elsewhere) is the name the
+// pipeline uses for the location from then on.
+function toCandidate(result) {
+    const locality = component(result, 'locality') || component(result, 'postal_town') ||
+        component(result, 'administrative_area_level_3') || component(result, 'colloquial_area') ||
+        (result.addressComponents || [])[0] || null;
+    const region = component(result, 'administrative_area_level_1');
+    const country = component(result, 'country');
+    const name = locality ? locality.long_name : String(result.formattedAddress).split(',')[0];
+    const qualifier = country && country.short_name === 'US' ? region && region.short_name : country && country.long_name;
+
+    return {
+        name,
+        region: region ? region.long_name : null,
+        regionCode: region ? region.short_name : null,
+        country: country ? country.long_name : null,
+        countryCode: country ? country.short_name : null,
+        label: qualifier && normalize(qualifier) !== normalize(name) ? `${name}, ${qualifier}` : name,
+        formattedAddress: result.formattedAddress,
+        location: result.location,
+        bounds: result.bounds || result.viewport || null,
+        placeId: result.placeId,
+    };
+}
+
+function matchesQuery(candidate, query) {
+    const [name, ...qualifiers] = String(query).split(',').map(normalize).filter(Boolean);
+    if (normalize(candidate.name) !== name) return false;
+    const known = [candidate.region, candidate.regionCode, candidate.country, candidate.countryCode]
+        .filter(Boolean).map(normalize);
+    // Whole words only, so "OR" doesn't match the "or" in "Portland"
+    const address = ` ${normalize(candidate.formattedAddress)} `;
+    return qualifiers.every(q => known.includes(q) || address.includes(` ${q} `));
+}
+
+// Function to find the locations a free-text query could mean:
+//   { query, resolved, ambiguous, candidates }
+// Candidates are ranked: those matching the query first, the provider's
+// ranking within each group. `resolved` is the candidate the query stands for,
+// or null when it is ambiguous or nothing was found.
+async function resolveLocation(query) {
+    let results = await geo.searchLocalities(query);
+    if (results.length === 0) {
+        // Not a city: regions, metro areas and neighborhoods still geocode
+        results = (await geo.geocode(query)).slice(0, 1);
+    }
+
+    const candidates = results.map(toCandidate)
+        .filter((candidate, i, all) => !candidate.placeId || all.findIndex(c => c.placeId === candidate.placeId) === i)
+        .slice(0, MAX_CANDIDATES);
+    const matching = candidates.filter(candidate => matchesQuery(candidate, query));
+    const ranked = [...matching, ...candidates.filter(candidate => !matching.includes(candidate))];
+
+    let resolved = null;
+    if (matching.length === 1) {
+        resolved = matching[0];
+    } else if (matching.length > 1) {
+        const [largest, second] = [...matching].sort((a, b) => boxAreaKm2(b.bounds) - boxAreaKm2(a.bounds));
+        if (boxAreaKm2(largest.bounds) >= boxAreaKm2(second.bounds) * config.locations.dominanceRatio) {
+            resolved = largest;
+        }
+    } else if (candidates.length > 0) {
+        // Nothing matches by name ("NYC"); trust the provider's best guess
+        resolved = candidates[0];
+    }
+
+    return { query, resolved, ambiguous: matching.length > 1 && !resolved, candidates: ranked };
+}
+
+// Function to resolve the location a search is for: the candidate with
+// `placeId` when one was picked (see resolveLocation), otherwise the only
+// reasonable reading of `query`. Throws a LocationError: 409 with the
+// candidates when the query is ambiguous, 400 when nothing matches.
+async function requireLocation(query, placeId = null) {
+    if (placeId) {
+        const results = await geo.lookupPlace(placeId);
+        if (results.length === 0) throw new LocationError(`Unknown placeId "${placeId}"`);
+        return toCandidate(results[0]);
+    }
+
+    const { resolved, ambiguous, candidates } = await resolveLocation(query);
+    if (ambiguous) {
+        throw new LocationError(
+            `"${query}" matches several places (${candidates.filter(c => matchesQuery(c, query)).map(c => c.label).join('; ')}). ` +
+            'Add the state or country, or pass the placeId of one of the candidates.',
+            409,
+            candidates);
+    }
+    if (!resolved) throw new LocationError(`Could not find a place called "${query}"`);
+    return resolved;
+}
+
+module.exports = {
+    LocationError,
+    toCandidate,
+    resolveLocation,
+    requireLocation,
+};
@@ -0,0 +1,220 @@
+const config = require('../config');
+const { llm } = require('./clients');
+const { parseWeights, scoreAmenityDensity, computeMatchScore } = require('./scoring');
+const { parseAnchors } = require('./commute');
+const { COVERAGE_OPTIONS } = require('./amenities');
+const { parseBudget } = require('./rent/budget');
+const {
+    RecommendationError,
+    parseAmenityNeeds,
+    validatePreferences,
+    runRecommendationPipeline,
+} = require('./recommendations');
+const { LocationError } = require('./locations');
+const { throwIfAborted } = require('./requestContext');
+
+// Searching several cities at once ("Austin vs Denver", or a metro area such as
+// "Bay Area"). The recommendation pipeline runs for each city, and the per-city
+// results are rescored against each other and merged into one ranking.
+
+const MIN_CITIES = 2;
+const MAX_CITIES = 5;
+
+function round(value, decimals = 3) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Function to validate the `cities` list from a request body, dropping duplicates
+function parseCities(cities) {
+    if (!Array.isArray(cities) || cities.some(c => typeof c !== 'string' || !c.trim())) {
+        throw new RecommendationError('cities must be an array of city names');
+    }
+    const names = cities.map(c => c.trim())
+        .filter((name, i, all) => all.findIndex(other => other.toLowerCase() === name.toLowerCase()) === i);
+    if (names.length < MIN_CITIES || names.length > MAX_CITIES) {
+        throw new RecommendationError(`Search between ${MIN_CITIES} and ${MAX_CITIES} different cities`);
+    }
+    return names;
+}
+
+// Function to list the cities of a metro area. Falls back to searching the
+// metro name itself as one area when the LLM can't list them.
+async function resolveMetro(metro) {
+    try {
+        const cities = await llm.runTask('metroLocalities', { metro, limit: MAX_CITIES });
+        return [...new Set(cities.map(c => c.trim()))].slice(0, MAX_CITIES);
+    } catch (e) {
+        console.warn(`Could not list the cities in ${metro} (${e.message}), searching it as one area`);
+        return [metro];
+    }
+}
+
+// Function to rescore per-city recommendations against each other, so that one
+// ranking across cities is meaningful. Entries are { city, rec }.
+//
+// The pipeline scores some components relative to the other candidates in the
+// same city; those are recomputed over all cities' candidates together:
+//   - amenities: density normalized per type against the densest candidate anywhere
+//   - safety: 1 - rate / highest rate, when every city reports rates in the same unit
+//   - rent: cheapest to most expensive, when the budget only asks for low rent
+// Qualitative, commute and budget-based rent scores are already absolute and
+// kept as they are. Resolves with the recommendations, each tagged with its
+// `city` and its original `cityMatchScore`, best first.
+function normalizeAcrossCities(entries, { amenitiesNeeded, scoringWeights, budget }) {
+    const keyOf = ({ city, rec }) => `${city}\u0000${rec.neighborhood}`;
+    const byKey = new Map(entries.map(entry => [keyOf(entry), entry]));
+
+    const amenityScores = amenitiesNeeded.length > 0
+        ? scoreAmenityDensity(
+            entries.map(entry => ({ neighborhood: keyOf(entry), amenityCounts: entry.rec.amenityBreakdown })),
+            amenitiesNeeded,
+            {
+                typeWeights: scoringWeights.amenityTypes,
+                areaFor: key => byKey.get(key).rec.scoreBreakdown.amenities?.areaKm2,
+            })
+        : {};
+
+    const withSafety = entries.filter(({ rec }) => rec.safety);
+    const safetyComparable = new Set(withSafety.map(({ rec }) => rec.safety.rateUnit)).size === 1;
+    const maxRate = Math.max(0, ...withSafety.map(({ rec }) => rec.safety.rate));
+
+    const relativeRent = budget && budget.maxRent === null && budget.preferLowRent;
+    const amounts = entries.filter(({ rec }) => rec.typicalRent).map(({ rec }) => rec.typicalRent.amount);
+    const lowest = Math.min(...amounts);
+    const highest = Math.max(...amounts);
+
+    return entries.map(entry => {
+        const { city, rec } = entry;
+        const components = Object.fromEntries(Object.entries(rec.scoreBreakdown)
+            .map(([name, { weight, contribution, ...component }]) => [name, component]));
+
+        if (components.amenities && amenityScores[keyOf(entry)]) {
+            components.amenities = amenityScores[keyOf(entry)];
+        }
+        if (components.safety && safetyComparable) {
+            components.safety = { ...components.safety, score: maxRate > 0 ? round(1 - rec.safety.rate / maxRate) : 1 };
+        }
+        if (components.rent && relativeRent && rec.typicalRent) {
+            const { amount } = rec.typicalRent;
+            components.rent = { ...components.rent, score: highest > lowest ? round((highest - amount) / (highest - lowest)) : 1 };
+        }
+
+        const { matchScore, breakdown } = computeMatchScore(components, scoringWeights.components);
+        return { city, ...rec, matchScore, scoreBreakdown: breakdown, cityMatchScore: rec.matchScore };
+    }).sort((a, b) => b.matchScore - a.matchScore);
+}
+
+// Function to search several cities, or the cities of a metro area, and rank
+// their neighborhoods together.
+//
+// Takes either `cities` (2-5 names) or `metro` (an area name, expanded to its
+// cities by the LLM), plus the usual preferences, weights, anchors and coverage.
+// Preferences and the budget are parsed once and shared by every city. A city
+// the pipeline can't serve (no matching neighborhoods, nothing within budget,
+// ...) is reported in `skippedCities` rather than failing the whole search,
+// unless every city fails. A city name that matches several places fails the
+// search with the 409 LocationError, so the caller can qualify it.
+//
+// `onEvent` receives the pipeline's events with a `city` field added, plus
+// cities_resolved ({ cities, metro }) first and city_skipped ({ city, error }).
+async function runMultiCitySearch({ cities, metro, preferences, weights, anchors, coverage = config.places.coverage }, { onEvent = () => {} } = {}) {
+    if ((cities === undefined) === (metro === undefined)) {
+        throw new RecommendationError('Pass either cities or metro');
+    }
+    if (!preferences) {
+        throw new RecommendationError('Preferences are required');
+    }
+    validatePreferences(preferences);
+    if (metro !== undefined && (typeof metro !== 'string' || !metro.trim())) {
+        throw new RecommendationError('metro must be an area name');
+    }
+
+    let scoringWeights;
+    try {
+        scoringWeights = parseWeights(weights);
+        parseAnchors(anchors);
+    } catch (e) {
+        throw new RecommendationError(e.message);
+    }
+    if (!COVERAGE_OPTIONS.includes(coverage)) {
+        throw new RecommendationError(`coverage must be one of: ${COVERAGE_OPTIONS.join(', ')}`);
+    }
+
+    const cityNames = cities !== undefined ? parseCities(cities) : await resolveMetro(metro.trim());
+    console.log(`\n🌆 MULTI-CITY SEARCH: ${cityNames.join(', ')}${metro ? ` (${metro})` : ''}`);
+    onEvent('cities_resolved', { cities: cityNames, metro: metro ?? null });
+
+    // Parsed once here rather than once per city. Which cities have rent data is
+    // only known once each is resolved, so the budget is always parsed.
+    const reuse = { amenityNeeds: await parseAmenityNeeds(preferences), budget: await parseBudget(preferences) };
+
+    // Cities are searched concurrently; the shared API limiters pace their calls
+    const outcomes = await Promise.allSettled(cityNames.map(city => runRecommendationPipeline(
+        { city, preferences, weights, anchors, coverage },
+        { onEvent: (type, data) => onEvent(type, { city, ...data }), reuse })));
+
+    const results = [];
+    const skippedCities = [];
+    let fatal = null;
+    cityNames.forEach((city, i) => {
+        if (outcomes[i].status === 'fulfilled') {
+            results.push(outcomes[i].value);
+            return;
+        }
+        const error = outcomes[i].reason;
+        const skippable = error instanceof RecommendationError ||
+            (error instanceof LocationError && error.status !== 409);
+        if (!skippable) {
+            fatal = fatal || error;
+            return;
+        }
+        console.warn(`⚠️  Skipping ${city}: ${error.message}`);
+        skippedCities.push({ city, error: error.message });
+        onEvent('city_skipped', { city, error: error.message });
+    });
+
+    // Cancellation, the deadline or an ambiguous city name fails the whole search
+    throwIfAborted();
+    if (fatal) throw fatal;
+    if (results.length === 0) {
+        throw new RecommendationError(`No recommendations in any of: ${skippedCities.map(s => `${s.city} (${s.error})`).join('; ')}`);
+    }
+
+    const budget = { ...reuse.budget, applied: results.some(r => r.budget.applied) };
+    const recommendations = normalizeAcrossCities(
+        results.flatMap(result => result.recommendations.recommendations.map(rec => ({ city: result.city, rec }))),
+        { amenitiesNeeded: reuse.amenityNeeds.amenitiesNeeded, scoringWeights, budget });
+
+    console.log('✅ Combined ranking:');
+    recommendations.forEach((rec, i) => {
+        console.log(`   ${i + 1}. ${rec.neighborhood}, ${rec.city} (Match: ${(rec.matchScore * 100).toFixed(0)}%)`);
+    });
+
+    const citedPosts = results.flatMap(r => r.citedPosts)
+        .filter((post, i, all) => all.findIndex(other => other.id === post.id) === i);
+
+    return {
+        cities: results.map(r => r.city),
+        metro: metro ?? null,
+        skippedCities,
+        userPreferences: preferences,
+        coverage,
+        budget,
+        recommendations: { recommendations },
+        citedPosts,
+        mapData: Object.fromEntries(results.map(r => [r.city, r.mapData])),
+        metadata: {
+            suspiciousInputs: results.flatMap(r => r.metadata.suspiciousInputs)
+                .filter((input, i, all) => all.findIndex(other =>
+                    other.source === input.source && other.postId === input.postId) === i),
+        },
+    };
+}
+
+module.exports = {
+    MAX_CITIES,
+    parseCities,
+    normalizeAcrossCities,
+    runMultiCitySearch,
+};
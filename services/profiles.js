@@ -0,0 +1,269 @@
+const { getStore } = require('./storage');
+const { parseWeights } = require('./scoring');
+const { parseAnchors } = require('./commute');
+const { runRecommendationPipeline } = require('./recommendations');
+const { COVERAGE_OPTIONS } = require('./amenities');
+const { checkInputLength } = require('./llm/safeguards');
+
+// User profiles, saved searches and history on top of the store: validation,
+// profile defaults, and re-running a saved search against its last result.
+
+// Error for invalid or unknown profile data; `status` is the HTTP status to send
+class ProfileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProfileError';
+        this.status = status;
+    }
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Function to validate optional search settings (placeId, preferences length,
+// weights, anchors, coverage), throwing a ProfileError
+function checkSearchSettings({ placeId, preferences, weights, anchors, coverage }, prefix = '') {
+    if (placeId !== undefined && placeId !== null && !isText(placeId)) {
+        throw new ProfileError(`${prefix}placeId must be a non-empty string`);
+    }
+    if (coverage !== undefined && coverage !== null && !COVERAGE_OPTIONS.includes(coverage)) {
+        throw new ProfileError(`${prefix}coverage must be one of: ${COVERAGE_OPTIONS.join(', ')}`);
+    }
+    const lengthError = checkInputLength(preferences);
+    if (lengthError) throw new ProfileError(`${prefix}${lengthError}`);
+    try {
+        if (weights !== undefined && weights !== null) parseWeights(weights);
+        if (anchors !== undefined && anchors !== null) parseAnchors(anchors);
+    } catch (e) {
+        throw new ProfileError(`${prefix}${e.message}`);
+    }
+}
+
+// Function to validate a profile body:
+//   { name, defaults: { city, placeId, preferences, weights, anchors, coverage } }
+// With `partial`, fields may be left out (for updates).
+function validateProfile(body = {}, { partial = false } = {}) {
+    const { name, defaults } = body;
+    if (name !== undefined || !partial) {
+        if (!isText(name)) throw new ProfileError('name is required');
+    }
+    if (defaults !== undefined) {
+        if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)) {
+            throw new ProfileError('defaults must be an object');
+        }
+        for (const key of ['city', 'placeId', 'preferences']) {
+            if (defaults[key] !== undefined && typeof defaults[key] !== 'string') {
+                throw new ProfileError(`defaults.${key} must be a string`);
+            }
+        }
+        checkSearchSettings(defaults, 'defaults: ');
+    }
+    return {
+        name: name !== undefined ? name.trim() : undefined,
+        defaults: defaults !== undefined
+            ? Object.fromEntries(['city', 'placeId', 'preferences', 'weights', 'anchors', 'coverage']
+                .filter(key => defaults[key] !== undefined)
+                .map(key => [key, defaults[key]]))
+            : undefined,
+    };
+}
+
+// Function to fill in missing search parameters from a profile's defaults. The
+// default placeId belongs to the default city, so it is only used along with it.
+function applyProfileDefaults(profile, params) {
+    const defaults = (profile && profile.defaults) || {};
+    return {
+        city: params.city || defaults.city,
+        placeId: params.placeId || (params.city ? undefined : defaults.placeId),
+        preferences: params.preferences || defaults.preferences,
+        weights: params.weights ?? defaults.weights,
+        anchors: params.anchors ?? defaults.anchors,
+        coverage: params.coverage ?? defaults.coverage,
+    };
+}
+
+// Function to validate and apply changes to a profile. `defaults` replaces the
+// stored object; when it names a different city, a placeId carried over from
+// the old defaults is dropped, as it belongs to the old city.
+function updateProfile(id, body = {}) {
+    const changes = validateProfile(body, { partial: true });
+    const profile = requireProfile(id);
+    const previous = profile.defaults || {};
+    if (changes.defaults && changes.defaults.city !== previous.city && changes.defaults.placeId &&
+        changes.defaults.placeId === previous.placeId) {
+        const { placeId, ...defaults } = changes.defaults;
+        changes.defaults = defaults;
+    }
+    return getStore().updateProfile(profile.id, changes);
+}
+
+// Function to look up a profile or throw a 404 ProfileError
+function requireProfile(id) {
+    const profile = getStore().getProfile(id);
+    if (!profile) throw new ProfileError('Profile not found', 404);
+    return profile;
+}
+
+// Function to create a saved search for a profile. City (with its placeId),
+// preferences, weights, anchors and coverage fall back to the profile's
+// defaults; the name defaults to the preferences.
+function createSavedSearch(profileId, body = {}) {
+    const profile = requireProfile(profileId);
+    const search = applyProfileDefaults(profile, body);
+    if (!isText(search.city) || !isText(search.preferences)) {
+        throw new ProfileError('City and preferences are required (directly or as profile defaults)');
+    }
+    checkSearchSettings(search);
+    const name = isText(body.name) ? body.name.trim() : search.preferences.slice(0, 80);
+    return getStore().createSavedSearch(profile.id, { ...search, name });
+}
+
+// Function to validate and apply changes to a saved search
+function updateSavedSearch(id, body = {}) {
+    for (const key of ['name', 'city', 'preferences']) {
+        if (body[key] !== undefined && !isText(body[key])) throw new ProfileError(`${key} must be a non-empty string`);
+    }
+    checkSearchSettings(body);
+    // A new city name needs resolving again unless it comes with its placeId
+    const fields = body.city !== undefined && body.placeId === undefined ? { ...body, placeId: null } : body;
+    const updated = getStore().updateSavedSearch(id, fields);
+    if (!updated) throw new ProfileError('Saved search not found', 404);
+    return updated;
+}
+
+// Function to reduce a recommendations result to its ranking: [{ rank, neighborhood, matchScore }]
+function rankingOf(result) {
+    return result.recommendations.recommendations.map((rec, i) => ({
+        rank: i + 1,
+        neighborhood: rec.neighborhood,
+        matchScore: rec.matchScore,
+    }));
+}
+
+// Function to compare two rankings, one entry per neighborhood in either:
+//   { neighborhood, rank, previousRank, change, matchScore, previousScore, status }
+// `change` is how many places it moved up (negative for down). `status` is
+// "new", "dropped", "up", "down" or "same". Current neighborhoods come first,
+// in rank order, followed by dropped ones.
+function diffRankings(previous, current) {
+    const find = (ranking, name) => ranking.find(r => r.neighborhood.toLowerCase() === name.toLowerCase());
+
+    const entries = current.map(now => {
+        const before = find(previous, now.neighborhood);
+        const change = before ? before.rank - now.rank : null;
+        return {
+            neighborhood: now.neighborhood,
+            rank: now.rank,
+            previousRank: before ? before.rank : null,
+            change,
+            matchScore: now.matchScore,
+            previousScore: before ? before.matchScore : null,
+            status: !before ? 'new' : change > 0 ? 'up' : change < 0 ? 'down' : 'same',
+        };
+    });
+    const dropped = previous
+        .filter(before => !find(current, before.neighborhood))
+        .map(before => ({
+            neighborhood: before.neighborhood,
+            rank: null,
+            previousRank: before.rank,
+            change: null,
+            matchScore: null,
+            previousScore: before.matchScore,
+            status: 'dropped',
+        }));
+    return [...entries, ...dropped];
+}
+
+// Function to run a search and record it in the profile's history; resolves with
+// { historyId, result }
+async function runAndRecord(params, { profileId = null, savedSearchId = null } = {}) {
+    const result = await runRecommendationPipeline(params);
+    const entry = getStore().recordSearch({
+        profileId,
+        savedSearchId,
+        city: result.city,
+        preferences: params.preferences,
+        ranking: rankingOf(result),
+        result,
+    });
+    return { historyId: entry.id, result };
+}
+
+// Function to run a search with a profile's defaults filling in missing
+// parameters and record it in the profile's history; resolves with
+// { historyId, result }. When the profile's default city was searched without
+// a placeId, the place it resolved to is saved as the default placeId.
+async function runProfileSearch(profileId, params) {
+    const profile = requireProfile(profileId);
+    const search = applyProfileDefaults(profile, params);
+    const { historyId, result } = await runAndRecord(search, { profileId: profile.id });
+
+    const usedDefaultCity = !params.city && !params.placeId && isText(search.city) && !search.placeId;
+    if (usedDefaultCity && result.location && result.location.placeId) {
+        // Re-read, as the profile may have changed while the search ran; the
+        // placeId only belongs to the defaults if they still name that city
+        const store = getStore();
+        const current = store.getProfile(profile.id);
+        const defaults = (current && current.defaults) || {};
+        if (current && defaults.city === search.city && !defaults.placeId) {
+            store.updateProfile(current.id, { defaults: { ...defaults, placeId: result.location.placeId } });
+        }
+    }
+    return { historyId, result };
+}
+
+// Function to re-run a saved search and diff its ranking against the previous
+// run. Resolves with { savedSearch, historyId, previousRun, diff, result };
+// `previousRun` ({ id, createdAt }) and `diff` are null on the first run.
+async function runSavedSearch(id) {
+    const store = getStore();
+    const savedSearch = store.getSavedSearch(id);
+    if (!savedSearch) throw new ProfileError('Saved search not found', 404);
+
+    const previous = store.latestRunOf(savedSearch.id);
+    const { city, placeId, preferences, weights, anchors, coverage } = savedSearch;
+    const { historyId, result } = await runAndRecord(
+        {
+            city,
+            placeId: placeId ?? undefined,
+            preferences,
+            weights: weights ?? undefined,
+            anchors: anchors ?? undefined,
+            coverage: coverage ?? undefined,
+        },
+        { profileId: savedSearch.profileId, savedSearchId: savedSearch.id });
+
+    // Later runs search the place this one resolved to, even if the name is
+    // ambiguous. Re-read first: the search may have been changed while it ran.
+    if (!placeId && result.location && result.location.placeId) {
+        const current = store.getSavedSearch(savedSearch.id);
+        if (current && current.city === city && !current.placeId) {
+            store.updateSavedSearch(current.id, { placeId: result.location.placeId });
+        }
+    }
+
+    return {
+        savedSearch,
+        historyId,
+        previousRun: previous ? { id: previous.id, createdAt: previous.createdAt } : null,
+        diff: previous ? diffRankings(previous.ranking, rankingOf(result)) : null,
+        result,
+    };
+}
+
+module.exports = {
+    ProfileError,
+    validateProfile,
+    applyProfileDefaults,
+    updateProfile,
+    requireProfile,
+    createSavedSearch,
+    updateSavedSearch,
+    rankingOf,
+    diffRankings,
+    runAndRecord,
+    runProfileSearch,
+    runSavedSearch,
+};
@@ -0,0 +1,633 @@
+const config = require('../config');
+const { geo, llm } = require('./clients');
+const { loadBoundaries, findBoundaryByName } = require('./geo/boundaries');
+const { parseWeights, scoreAmenityDensity, computeMatchScore } = require('./scoring');
+const {
+    getAmenityCoordinates,
+    scoreNeighborhoodsByAmenities,
+    getNeighborhoodGeometry,
+    COVERAGE_OPTIONS,
+} = require('./amenities');
+const { scrapeReddit, filterRelevantPosts, citePosts, postTokens, summarizePostsForScoring } = require('./reddit');
+const { batchByTokens, mapConcurrent } = require('./llm/batching');
+const { findInjections, findSuspiciousInputs, checkInputLength } = require('./llm/safeguards');
+const { scoreAspects } = require('./aspects');
+const { detectAspects } = require('./aspectTypes');
+const { computeSafetyIndices, safetyFor } = require('./crime/safety');
+const { loadRents } = require('./rent/prices');
+const { parseBudget, evaluateRents, describeRent, formatRent, describeTypicalRent } = require('./rent/budget');
+const { requireLocation } = require('./locations');
+const { throwIfAborted } = require('./requestContext');
+const { parseAnchors, resolveAnchors, evaluateCommutes, describeCommutes } = require('./commute');
+
+// How many top candidates get commute times computed before filtering
+const COMMUTE_CANDIDATES = 15;
+// Longest neighborhood name taken from the LLM's reading of the posts
+const MAX_NEIGHBORHOOD_NAME_CHARS = 60;
+
+// Error for requests the pipeline can't serve; `status` is the HTTP status to send
+class RecommendationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RecommendationError';
+        this.status = status;
+    }
+}
+
+// Function to build a match reason or concern. `basis` is what it rests on
+// (reddit, amenities, commute, crime, rent or general); `citations` are the posts behind it.
+function statement(text, basis, citations = []) {
+    return { text, basis, citations };
+}
+
+// Function to turn the LLM's { text, postIds } statements for one neighborhood
+// into cited statements. Statements left without a valid citation are dropped.
+function citedStatements(statementsByNeighborhood, neighborhood, posts) {
+    const key = Object.keys(statementsByNeighborhood).find(k => k.toLowerCase() === neighborhood.toLowerCase());
+    return (key !== undefined ? statementsByNeighborhood[key] : [])
+        .map(s => statement(s.text, 'reddit', citePosts(s.postIds, posts)))
+        .filter(s => s.citations.length > 0);
+}
+
+// Function to list the posts cited anywhere in a set of statements, in first-cited order
+function collectCitedPosts(statements, posts) {
+    const ids = new Set(statements.flatMap(s => s.citations.map(c => c.postId)));
+    return posts.filter(p => ids.has(p.id));
+}
+
+// Function to describe a neighborhood's crime-data safety entry as match reasons and concerns
+function describeSafety(safety, indices, city) {
+    const reasons = [];
+    const concerns = [];
+    const rate = `${safety.rate} ${indices.rateUnit}`;
+    // The trend compares the recent half of the window with the half before it
+    const halfWindow = indices.windowMonths / 2;
+    const period = `the last ${halfWindow} months vs the ${halfWindow} before`;
+
+    const third = indices.neighborhoodCount / 3;
+    if (safety.rank <= third) {
+        reasons.push(statement(`Among the lowest reported crime in ${city}: #${safety.rank} of ${indices.neighborhoodCount} (${rate})`, 'crime'));
+    } else if (safety.rank > indices.neighborhoodCount - third) {
+        concerns.push(statement(`Among the highest reported crime in ${city}: #${safety.rank} of ${indices.neighborhoodCount} (${rate})`, 'crime'));
+    }
+    if (safety.trend.direction === 'improving') {
+        reasons.push(statement(`Reported incidents down ${-safety.trend.changePct}% in ${period}`, 'crime'));
+    } else if (safety.trend.direction === 'worsening') {
+        concerns.push(statement(`Reported incidents up ${safety.trend.changePct}% in ${period}`, 'crime'));
+    }
+    return { reasons, concerns };
+}
+
+// Function to extract the amenity types and specific brands/names a user asked for
+async function parseAmenityNeeds(preferences) {
+    let amenitiesNeeded = [];
+    const specificBrands = {};
+    try {
+        const parsed = await llm.runTask('extractAmenities', { preferences });
+        amenitiesNeeded = parsed.amenities.map(a => a.type);
+        parsed.amenities.forEach(a => {
+            specificBrands[a.type] = a.specificNames || [];
+        });
+    } catch (e) {
+        console.warn(`Could not parse amenities (${e.message}), using defaults`);
+        amenitiesNeeded = ['gym', 'grocery_or_supermarket'];
+    }
+    return { amenitiesNeeded, specificBrands };
+}
+
+// Function to build the map payload for a resolved location's neighborhoods:
+// city center, amenity markers, each neighborhood's amenities and its shape
+async function buildMapData(location, neighborhoodNames, { amenitiesNeeded, specificBrands, boundaries, neighborhoodAmenities, coverage }) {
+    console.log('\n📍 GETTING MAP DATA...');
+    const cityCoords = location.location || null;
+    console.log(`City coordinates: ${cityCoords?.lat}, ${cityCoords?.lng}`);
+
+    const mapData = {
+        cityCoordinates: cityCoords,
+        amenities: {},
+        neighborhoodAmenities: {},
+        neighborhoods: {},
+    };
+
+    // Get full amenity coordinates for map display (with brand filtering if specified),
+    // all types at once; the keys are set up front to keep them in order
+    amenitiesNeeded.forEach(amenityType => {
+        mapData.amenities[amenityType] = [];
+    });
+    await Promise.all(amenitiesNeeded.map(async amenityType => {
+        try {
+            const brandNames = specificBrands[amenityType] || [];
+            const amenityCoords = await getAmenityCoordinates(location, amenityType, 10, brandNames, { coverage });
+            mapData.amenities[amenityType] = amenityCoords;
+            console.log(`✅ Found ${amenityCoords.length} ${amenityType} locations for display${brandNames.length > 0 ? ` (filtered)` : ''}`);
+        } catch (error) {
+            console.error(`⚠️ Error getting ${amenityType}: ${error.message}`);
+        }
+    }));
+
+    // Add neighborhood-specific amenities and shapes
+    neighborhoodNames.forEach(name => {
+        mapData.neighborhoods[name] = getNeighborhoodGeometry(name, boundaries, neighborhoodAmenities[name]);
+        mapData.neighborhoodAmenities[name] = {};
+        for (const amenityType of amenitiesNeeded) {
+            if (neighborhoodAmenities[name] && neighborhoodAmenities[name][amenityType]) {
+                mapData.neighborhoodAmenities[name][amenityType] = neighborhoodAmenities[name][amenityType].slice(0, 5);
+            } else {
+                mapData.neighborhoodAmenities[name][amenityType] = [];
+            }
+        }
+    });
+    return mapData;
+}
+
+// Function to generate Reddit search queries for the preferences, then scrape
+// and filter the matching posts. With `earlier` posts from a previous search,
+// only queries it didn't run are scraped and only posts it hadn't seen are
+// filtered; its kept posts stay kept.
+async function gatherPosts(city, preferences, earlier = null) {
+    let redditQueries = [];
+    try {
+        redditQueries = await llm.runTask('qualitativeQueries', { city, preferences });
+    } catch (e) {
+        redditQueries = [`neighborhoods in ${city}`, `best places to live in ${city}`];
+    }
+
+    const knownQueries = earlier ? earlier.redditQueries : [];
+    const knownPosts = earlier ? earlier.redditPosts : [];
+    const newQueries = redditQueries.filter(q => !knownQueries.includes(q));
+    const scraped = newQueries.length > 0 ? await scrapeReddit(newQueries, city) : [];
+    const newPosts = scraped.filter(post => !knownPosts.some(known => known.id === post.id));
+
+    const kept = newPosts.length > 0 ? await filterRelevantPosts(newPosts, preferences) : [];
+    return {
+        redditQueries: [...knownQueries, ...newQueries],
+        redditPosts: [...knownPosts, ...newPosts],
+        filteredPosts: [...(earlier ? earlier.filteredPosts : []), ...kept],
+    };
+}
+
+// Function to check the free-text preferences of a request, throwing a RecommendationError
+function validatePreferences(preferences) {
+    if (typeof preferences !== 'string') {
+        throw new RecommendationError('Preferences must be a string');
+    }
+    const lengthError = checkInputLength(preferences, 'Preferences');
+    if (lengthError) {
+        throw new RecommendationError(lengthError);
+    }
+}
+
+// Function to list the suspicious inputs of a search (see findSuspiciousInputs)
+// and log them
+function reportSuspiciousInputs(preferences, posts) {
+    const suspicious = findSuspiciousInputs({ preferences, posts });
+    suspicious.forEach(input => {
+        console.warn(`🛡️  Instruction-like text in ${input.postId ? `post ${input.postId}` : input.source} (${input.patterns.join(', ')}); removed from prompts`);
+    });
+    return suspicious;
+}
+
+// Function to extract the neighborhood names mentioned in posts, a batch of
+// posts per LLM call. Names are deduplicated ignoring case, first mention first;
+// names that are too long or read like instructions are dropped, as they'd be
+// passed on to later prompts.
+async function extractMentionedNeighborhoods(city, posts) {
+    const batches = batchByTokens(posts, postTokens);
+    const results = await mapConcurrent(batches, async (batch, b) => {
+        throwIfAborted();
+        try {
+            return await llm.runTask('extractNeighborhoods', { city, posts: batch });
+        } catch (e) {
+            console.warn(`Could not extract neighborhoods from batch ${b + 1}/${batches.length}: ${e.message}`);
+            return [];
+        }
+    });
+    return results.flat()
+        .filter(name => {
+            const valid = name.trim().length > 0 && name.length <= MAX_NEIGHBORHOOD_NAME_CHARS && findInjections(name).length === 0;
+            if (!valid) console.warn(`Dropping extracted neighborhood name "${name.slice(0, MAX_NEIGHBORHOOD_NAME_CHARS)}"`);
+            return valid;
+        })
+        .filter((name, i, all) => all.findIndex(other => other.toLowerCase() === name.toLowerCase()) === i);
+}
+
+// Function to run the full AMENITY-FIRST recommendation pipeline.
+//
+// `onEvent(type, data)` is called as each step completes so callers can report
+// progress; the events are: location_resolved, amenities_parsed, neighborhoods_scored,
+// posts_scraped, posts_filtered, commutes_evaluated (with anchors only),
+// rent_evaluated (with rent data only), safety_scored (safety preferences with
+// crime data only), qualitative_scored, aspects_scored, strengths_identified,
+// concerns_identified and map_data. Resolves with the same payload
+// /api/recommendations returns.
+//
+// `city` is resolved to one canonical place first (see services/locations.js),
+// or `placeId` names one of the candidates GET /api/locations/resolve listed;
+// an ambiguous city fails with a 409 LocationError listing the candidates.
+//
+// Preferences and posts containing instruction-like text are reported in
+// `metadata.suspiciousInputs`; that text is cut from every prompt either way.
+//
+// The intermediate results a follow-up search can build on are recorded in
+// `session`: location, amenityNeeds, amenityScores, budget and posts. Passing any of them
+// back in `reuse` skips the steps that produced them; `reuse.earlierPosts`
+// gathers posts incrementally on top of a previous search's (see gatherPosts).
+async function runRecommendationPipeline({ city: query, placeId, preferences, weights, anchors, coverage = config.places.coverage }, { onEvent = () => {}, reuse = {}, session = {} } = {}) {
+    console.log('\n🚀 NEW REQUEST RECEIVED');
+    console.log(`📍 City: ${query || placeId}`);
+    console.log(`💭 User preferences: ${preferences}\n`);
+
+    if ((!query && !placeId) || !preferences) {
+        throw new RecommendationError('City and preferences are required');
+    }
+    validatePreferences(preferences);
+
+    let scoringWeights;
+    try {
+        scoringWeights = parseWeights(weights);
+    } catch (e) {
+        throw new RecommendationError(e.message);
+    }
+
+    if (!COVERAGE_OPTIONS.includes(coverage)) {
+        throw new RecommendationError(`coverage must be one of: ${COVERAGE_OPTIONS.join(', ')}`);
+    }
+
+    let commuteAnchors;
+    try {
+        commuteAnchors = parseAnchors(anchors);
+    } catch (e) {
+        throw new RecommendationError(e.message);
+    }
+
+    // Every later step works on the resolved location: its data files, bounds and
+    // center, and its canonical name ("Portland, OR") in prompts and messages
+    const location = reuse.location || await requireLocation(query, placeId);
+    session.location = location;
+    const city = location.label;
+    console.log(`📌 Resolved to: ${location.formattedAddress}`);
+    onEvent('location_resolved', { location });
+
+    // Step 1: Extract amenity types and specific brands/names
+    console.log('🤖 STEP 1: Parsing preferences...');
+    const { amenitiesNeeded, specificBrands } = reuse.amenityNeeds || await parseAmenityNeeds(preferences);
+    session.amenityNeeds = { amenitiesNeeded, specificBrands };
+    console.log(`Extracted amenities: ${amenitiesNeeded.join(', ') || 'None (qualitative search)'}`);
+    if (Object.keys(specificBrands).length > 0) {
+        console.log(`Specific brands: ${JSON.stringify(specificBrands)}`);
+    }
+    onEvent('amenities_parsed', { amenitiesNeeded, specificBrands });
+
+    // Rent constraints can only be checked when the city has rent data; without
+    // it the budget is still parsed and reported, marked as not applied
+    const rents = loadRents(location);
+    const budget = reuse.budget || await parseBudget(preferences);
+    session.budget = budget;
+    console.log(`Budget: ${JSON.stringify(budget)}`);
+    if (!rents && (budget.maxRent !== null || budget.preferLowRent)) {
+        console.warn(`⚠️ No rent data for ${city}, so the budget can't be checked`);
+    }
+
+    // Step 2: Score neighborhoods based on amenity clusters (if amenities specified)
+    throwIfAborted();
+    let scoredNeighborhoods = [];
+    let neighborhoodAmenities = {};
+    let boundaries = loadBoundaries(location);
+    let amenityDensity = {};
+
+    if (amenitiesNeeded.length > 0) {
+        const result = reuse.amenityScores || await scoreNeighborhoodsByAmenities(location, amenitiesNeeded, specificBrands, { coverage });
+        session.amenityScores = result;
+        scoredNeighborhoods = [...result.scoredNeighborhoods];
+        neighborhoodAmenities = result.neighborhoodAmenities;
+        boundaries = result.boundaries;
+
+        if (scoredNeighborhoods.length === 0) {
+            throw new RecommendationError(`No neighborhoods found with requested amenities in ${city}`);
+        }
+
+        // Rank candidates by area-normalized amenity density rather than raw counts
+        amenityDensity = scoreAmenityDensity(scoredNeighborhoods, amenitiesNeeded, {
+            typeWeights: scoringWeights.amenityTypes,
+            areaFor: name => findBoundaryByName(boundaries, name)?.areaKm2,
+        });
+        scoredNeighborhoods.sort((a, b) =>
+            amenityDensity[b.neighborhood].score - amenityDensity[a.neighborhood].score ||
+            b.amenityScore - a.amenityScore);
+
+        onEvent('neighborhoods_scored', {
+            candidates: scoredNeighborhoods.slice(0, 10).map(n => ({
+                neighborhood: n.neighborhood,
+                totalAmenities: n.totalAmenities,
+                amenityCounts: n.amenityCounts,
+                amenityScore: amenityDensity[n.neighborhood].score,
+            })),
+        });
+    }
+
+    // Step 3: Get qualitative preferences from Reddit for filtering
+    throwIfAborted();
+    console.log('\n📡 STEP 2: Getting qualitative preferences from Reddit...');
+    const posts = reuse.posts || await gatherPosts(city, preferences, reuse.earlierPosts);
+    session.posts = posts;
+    const { redditQueries, redditPosts, filteredPosts } = posts;
+    onEvent('posts_scraped', { queries: redditQueries, count: redditPosts.length });
+    onEvent('posts_filtered', { kept: filteredPosts.length, total: redditPosts.length });
+    const suspiciousInputs = reportSuspiciousInputs(preferences, redditPosts);
+
+    if (amenitiesNeeded.length === 0) {
+        // No amenities specified - use Reddit data to identify neighborhoods
+        console.log('🏘️  NO AMENITIES SPECIFIED - USING REDDIT DATA TO FIND NEIGHBORHOODS...');
+
+        // Extract neighborhood names mentioned in Reddit posts (once per set of posts)
+        if (!posts.mentionedNeighborhoods) {
+            posts.mentionedNeighborhoods = await extractMentionedNeighborhoods(city, filteredPosts);
+        }
+        scoredNeighborhoods = posts.mentionedNeighborhoods.map(n => ({
+            neighborhood: n,
+            totalAmenities: 0,
+            amenityCounts: {},
+            amenityScore: 0
+        }));
+        if (scoredNeighborhoods.length === 0) {
+            scoredNeighborhoods = [{ neighborhood: 'Downtown', totalAmenities: 0, amenityCounts: {}, amenityScore: 0 }];
+        }
+
+        onEvent('neighborhoods_scored', {
+            candidates: scoredNeighborhoods.slice(0, 10).map(n => ({ neighborhood: n.neighborhood })),
+        });
+    }
+
+    // Filter and score candidates by commute time to the user's anchor locations
+    let commuteResults = {};
+    if (commuteAnchors.length > 0) {
+        throwIfAborted();
+        const { resolved, unresolved } = await resolveAnchors(commuteAnchors, city);
+        if (unresolved.length > 0) {
+            throw new RecommendationError(`Could not locate anchor address: ${unresolved.map(a => a.address).join(', ')}`);
+        }
+
+        const candidates = scoredNeighborhoods.slice(0, COMMUTE_CANDIDATES);
+        commuteResults = await evaluateCommutes(candidates, resolved, { location, boundaries, neighborhoodAmenities });
+        scoredNeighborhoods = candidates.filter(n => commuteResults[n.neighborhood].withinLimits);
+
+        onEvent('commutes_evaluated', {
+            anchors: resolved,
+            neighborhoods: Object.entries(commuteResults).map(([neighborhood, r]) => ({
+                neighborhood,
+                withinLimits: r.withinLimits,
+                commutes: r.commutes,
+            })),
+        });
+
+        if (scoredNeighborhoods.length === 0) {
+            throw new RecommendationError(`No candidate neighborhoods in ${city} are within the commute limits`);
+        }
+    }
+
+    // Look up typical rents and drop candidates well over the user's budget
+    let rentResults = {};
+    if (rents) {
+        rentResults = evaluateRents(scoredNeighborhoods.map(n => n.neighborhood), rents, budget);
+        scoredNeighborhoods = scoredNeighborhoods.filter(n => rentResults[n.neighborhood].allowed);
+
+        onEvent('rent_evaluated', {
+            budget,
+            neighborhoods: Object.entries(rentResults).map(([neighborhood, r]) => ({
+                neighborhood,
+                typicalRent: r.typicalRent,
+                withinBudget: r.withinBudget,
+                allowed: r.allowed,
+            })),
+        });
+
+        if (scoredNeighborhoods.length === 0) {
+            throw new RecommendationError(`No candidate neighborhoods in ${city} have typical rent within your ${formatRent(budget.maxRent)} budget`);
+        }
+    }
+
+    // Score safety from local crime data when the user asks for it and the city has an incident file
+    let safetyIndices = null;
+    if (detectAspects(preferences).includes('safety')) {
+        safetyIndices = computeSafetyIndices(location, boundaries);
+        if (safetyIndices) {
+            onEvent('safety_scored', {
+                source: safetyIndices.source,
+                basis: safetyIndices.basis,
+                rateUnit: safetyIndices.rateUnit,
+                neighborhoods: Object.fromEntries(scoredNeighborhoods.slice(0, 10)
+                    .map(n => [n.neighborhood, safetyFor(safetyIndices, n.neighborhood)])),
+            });
+        }
+    }
+
+    // Step 4: Use the LLM to score qualitative match for top neighborhoods
+    throwIfAborted();
+    console.log('\n🤖 STEP 3: Scoring neighborhoods by qualitative preferences...');
+    const topNeighborhoods = scoredNeighborhoods.slice(0, 5).map(n => n.neighborhood);
+
+    // Posts that don't fit one prompt are summarized per neighborhood first
+    const evidence = await summarizePostsForScoring(filteredPosts, topNeighborhoods, { city, preferences });
+
+    let qualitativeScores = {};
+    try {
+        qualitativeScores = await llm.runTask('scoreQualitative', {
+            city,
+            preferences,
+            neighborhoods: topNeighborhoods,
+            ...evidence,
+        });
+    } catch (e) {
+        console.warn(`Could not parse qualitative scores: ${e.message}`);
+    }
+    onEvent('qualitative_scored', { scores: qualitativeScores });
+
+    // Break the qualitative picture down into per-aspect sentiment (safety, noise, ...)
+    throwIfAborted();
+    const aspectProfiles = await scoreAspects(filteredPosts, topNeighborhoods, city);
+    onEvent('aspects_scored', { aspects: aspectProfiles });
+
+    // Ask the LLM what the posts praise about each neighborhood, with citations
+    throwIfAborted();
+    const strengthsMap = {};
+    let strengths = {};
+    if (filteredPosts.length > 0) {
+        try {
+            strengths = await llm.runTask('identifyStrengths', {
+                city,
+                preferences,
+                neighborhoods: topNeighborhoods,
+                ...evidence,
+            });
+        } catch (e) {
+            console.warn('Could not parse strengths:', e.message);
+        }
+    }
+    topNeighborhoods.forEach(name => {
+        strengthsMap[name] = citedStatements(strengths, name, filteredPosts);
+    });
+    onEvent('strengths_identified', { strengths: strengthsMap });
+
+    // Ask the LLM to identify specific concerns for top neighborhoods
+    throwIfAborted();
+    console.log('\n⚠️ STEP 4: Identifying concerns for neighborhoods...');
+    const concernsMap = {};
+    let concerns = {};
+    if (filteredPosts.length > 0) {
+        try {
+            concerns = await llm.runTask('identifyConcerns', {
+                city,
+                preferences,
+                neighborhoods: topNeighborhoods,
+                ...evidence,
+                rents: Object.fromEntries(topNeighborhoods
+                    .filter(name => rentResults[name] && rentResults[name].typicalRent)
+                    .map(name => [name, describeTypicalRent(rentResults[name].typicalRent)])),
+            });
+            console.log(`✅ Extracted concerns: ${JSON.stringify(concerns)}`);
+        } catch (e) {
+            console.warn('Could not parse concerns:', e.message);
+        }
+    }
+    topNeighborhoods.forEach(name => {
+        concernsMap[name] = citedStatements(concerns, name, filteredPosts);
+    });
+
+    // Add crime-data and rent concerns, then generate fallback concerns if still empty
+    topNeighborhoods.forEach(name => {
+        const safety = safetyFor(safetyIndices, name);
+        if (safety) concernsMap[name].push(...describeSafety(safety, safetyIndices, city).concerns);
+        if (rents) {
+            concernsMap[name].push(...describeRent(rentResults[name], budget).concerns.map(text => statement(text, 'rent')));
+        }
+    });
+    scoredNeighborhoods.slice(0, 5).forEach(n => {
+        if (!concernsMap[n.neighborhood] || concernsMap[n.neighborhood].length === 0) {
+            const fallback = [];
+
+            // Generate contextual concerns based on neighborhood data
+            if (n.totalAmenities < 5) {
+                fallback.push(statement('Limited number of requested amenities nearby', 'amenities'));
+            }
+            if (n.amenityTypes < amenitiesNeeded.length) {
+                fallback.push(statement('Not all requested amenity types available in this neighborhood', 'amenities'));
+            }
+            if (redditPosts.length === 0) {
+                fallback.push(statement('Limited community feedback available', 'general'));
+            }
+
+            // If no concerns generated, add a neutral one
+            if (fallback.length === 0) {
+                fallback.push(statement('Research more on community forums and local resources', 'general'));
+            }
+
+            concernsMap[n.neighborhood] = fallback;
+        }
+    });
+    onEvent('concerns_identified', { concerns: concernsMap });
+
+    // Blend amenity density and qualitative fit into each neighborhood's matchScore
+    const qualitativeScoreFor = (name) => {
+        const key = Object.keys(qualitativeScores).find(k => k.toLowerCase() === name.toLowerCase());
+        return key !== undefined ? qualitativeScores[key] : null;
+    };
+    const rankedNeighborhoods = scoredNeighborhoods.slice(0, 5).map(n => {
+        const qualitative = qualitativeScoreFor(n.neighborhood);
+        const { matchScore, breakdown } = computeMatchScore({
+            amenities: amenityDensity[n.neighborhood] || null,
+            qualitative: qualitative !== null ? { score: qualitative, source: 'llm' } : null,
+            safety: safetyFor(safetyIndices, n.neighborhood)
+                ? { score: safetyFor(safetyIndices, n.neighborhood).index, source: 'crime_data' }
+                : null,
+            commute: commuteResults[n.neighborhood] && commuteResults[n.neighborhood].score !== null
+                ? { score: commuteResults[n.neighborhood].score }
+                : null,
+            rent: rentResults[n.neighborhood] && rentResults[n.neighborhood].score !== null
+                ? { score: rentResults[n.neighborhood].score, source: rents.source }
+                : null,
+        }, scoringWeights.components);
+        return { ...n, matchScore, scoreBreakdown: breakdown };
+    }).sort((a, b) => b.matchScore - a.matchScore);
+
+    // Return ranked recommendations (order itself indicates quality)
+    const recommendations = {
+        recommendations: rankedNeighborhoods.map(n => {
+            const reasons = [];
+            if (n.totalAmenities > 0) {
+                reasons.push(statement(`${n.totalAmenities} ${n.totalAmenities === 1 ? 'amenity' : 'amenities'} nearby`, 'amenities'));
+            }
+            const typeCount = Object.keys(n.amenityCounts).length;
+            if (typeCount > 0) {
+                reasons.push(statement(`${typeCount} ${typeCount === 1 ? 'type' : 'types'} of amenities`, 'amenities'));
+            }
+            reasons.push(...(strengthsMap[n.neighborhood] || []));
+            const safety = safetyFor(safetyIndices, n.neighborhood);
+            if (safety) reasons.push(...describeSafety(safety, safetyIndices, city).reasons);
+            const rent = rentResults[n.neighborhood];
+            if (rents) reasons.push(...describeRent(rent, budget).reasons.map(text => statement(text, 'rent')));
+            const commutes = commuteResults[n.neighborhood] ? commuteResults[n.neighborhood].commutes : [];
+            reasons.push(...describeCommutes(commutes).map(text => statement(text, 'commute')));
+
+            return {
+                neighborhood: n.neighborhood,
+                matchScore: n.matchScore,
+                scoreBreakdown: n.scoreBreakdown,
+                matchReasons: reasons.length > 0 ? reasons : [statement('Strong neighborhood match', 'general')],
+                concerns: concernsMap[n.neighborhood] || [],
+                amenityBreakdown: n.amenityCounts,
+                aspects: aspectProfiles[n.neighborhood],
+                safety: safety ? { ...safety, rateUnit: safetyIndices.rateUnit, source: safetyIndices.source } : null,
+                typicalRent: rent && rent.typicalRent ? { ...rent.typicalRent, withinBudget: rent.withinBudget } : null,
+                commutes,
+            };
+        })
+    };
+
+    console.log('✅ Recommendations generated:');
+    recommendations.recommendations.forEach((rec, i) => {
+        console.log(`   ${i + 1}. ${rec.neighborhood} (Match: ${(rec.matchScore * 100).toFixed(0)}%)`);
+    });
+
+    // Get map data for the recommended neighborhoods
+    throwIfAborted();
+    const mapData = await buildMapData(location, recommendations.recommendations.map(rec => rec.neighborhood), {
+        amenitiesNeeded,
+        specificBrands,
+        boundaries,
+        neighborhoodAmenities,
+        coverage,
+    });
+    throwIfAborted();
+    onEvent('map_data', { mapData });
+
+    const cacheStats = geo.cacheStats();
+    if (cacheStats) {
+        console.log(`💾 Geo cache: ${JSON.stringify(cacheStats.namespaces)}`);
+    }
+
+    return {
+        city,
+        location,
+        userPreferences: preferences,
+        coverage,
+        budget: { ...budget, applied: Boolean(rents) },
+        recommendations,
+        citedPosts: collectCitedPosts(
+            recommendations.recommendations.flatMap(rec => [...rec.matchReasons, ...rec.concerns]),
+            filteredPosts),
+        mapData,
+        metadata: { suspiciousInputs },
+    };
+}
+
+module.exports = {
+    RecommendationError,
+    statement,
+    citedStatements,
+    collectCitedPosts,
+    parseAmenityNeeds,
+    validatePreferences,
+    reportSuspiciousInputs,
+    buildMapData,
+    runRecommendationPipeline,
+};
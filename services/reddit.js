@@ -0,0 +1,266 @@
+const config = require('../config');
+const { llm, reddit } = require('./clients');
+const { estimateTokens, batchByTokens, mapConcurrent } = require('./llm/batching');
+const { throwIfAborted } = require('./requestContext');
+
+const MAX_POST_CHARS = 500;
+const MAX_COMMENT_CHARS = 300;
+// Notes kept per neighborhood from each batch when posts are summarized
+const MAX_NOTES_PER_BATCH = 5;
+
+// Function to dynamically discover relevant subreddits for a city
+async function discoverSubreddits(city) {
+    console.log(`\n🔎 DISCOVERING SUBREDDITS FOR: ${city}`);
+
+    // "San Francisco, CA" is searched as "San Francisco"; subreddit names can't
+    // contain spaces or punctuation, so they're matched against "SanFrancisco"
+    const name = city.split(',')[0].trim();
+    const key = name.replace(/[^A-Za-z0-9]/g, '');
+
+    try {
+        // Search for subreddits related to the city
+        const results = await reddit.searchSubreddits(name, { limit: 20 });
+
+        // Filter for relevant subreddits
+        const subreddits = results
+            .filter(subreddit =>
+                subreddit.subscribers > 100 && // Must have at least 100 subscribers
+                !subreddit.over18 && // Not NSFW
+                (subreddit.name.toLowerCase().includes(key.toLowerCase()) ||
+                 subreddit.description.toLowerCase().includes('neighborhood') ||
+                 subreddit.description.toLowerCase().includes('live') ||
+                 subreddit.description.toLowerCase().includes('ask')))
+            .map(subreddit => subreddit.name);
+
+        // If we found subreddits, use them. Otherwise fall back to generic patterns
+        if (subreddits.length > 0) {
+            console.log(`✅ Found ${subreddits.length} relevant subreddits: ${subreddits.join(', ')}\n`);
+            return subreddits;
+        } else {
+            // Fallback: generate likely subreddit names based on city
+            const keyLower = key.toLowerCase();
+            const fallbackSubreddits = keyLower ? [
+                keyLower,
+                `${keyLower}housing`,
+                `Ask${key}`,
+                `${keyLower}neighborhoods`,
+            ] : [];
+
+            console.log(`⚠️  No subreddits found, using fallback: ${fallbackSubreddits.join(', ')}\n`);
+            return fallbackSubreddits;
+        }
+    } catch (error) {
+        console.error(`❌ Error discovering subreddits: ${error.message}`);
+
+        // Ultimate fallback
+        const fallback = key ? [key.toLowerCase(), `Ask${key}`] : [];
+        console.log(`⚠️  Using ultimate fallback: ${fallback.join(', ')}\n`);
+        return fallback;
+    }
+}
+
+// Function to identify relevant keywords from preferences
+async function identifyKeywords(preferences) {
+    try {
+        return await llm.runTask('identifyKeywords', { preferences });
+    } catch (error) {
+        console.warn(`Could not identify keywords: ${error.message}`);
+        return ['neighborhood', 'living', 'area'];
+    }
+}
+
+// Estimated prompt tokens of a post record as the prompts render it
+function postTokens(post) {
+    return estimateTokens(`[${post.id}] r/${post.subreddit}: ${post.title}\n${post.text}`);
+}
+
+// Function to filter posts by relevance. Posts are sent in batches that fit the
+// prompt token budget, a few batches at a time; a batch the LLM can't filter
+// keeps its posts.
+async function filterRelevantPosts(posts, preferences) {
+    console.log('\n🔍 FILTERING POSTS FOR RELEVANCE');
+    const batches = batchByTokens(posts, postTokens);
+    console.log(`Filtering ${posts.length} posts in ${batches.length} batch(es)...\n`);
+
+    const kept = await mapConcurrent(batches, async (batch, b) => {
+        throwIfAborted();
+        let relevanceScores;
+        try {
+            relevanceScores = await llm.runTask('filterPosts', { preferences, posts: batch });
+        } catch (e) {
+            console.warn(`Could not filter batch ${b + 1}/${batches.length} (${e.message}), keeping its ${batch.length} posts`);
+            return batch;
+        }
+
+        return batch.filter((post, i) => {
+            const score = relevanceScores.find(s => s.postIndex === i + 1);
+            if (score && score.isRelevant) {
+                console.log(`  ✅ Post ${post.id}: Relevant - ${score.reason}`);
+                return true;
+            } else {
+                console.log(`  ❌ Post ${post.id}: Skipped - ${score?.reason || 'Not relevant'}`);
+                return false;
+            }
+        });
+    });
+
+    const relevantPosts = kept.flat();
+    console.log(`\n✅ Kept ${relevantPosts.length}/${posts.length} relevant posts\n`);
+    return relevantPosts;
+}
+
+// Function to prepare posts as the evidence for the neighborhood scoring prompts
+// (scoreQualitative, identifyStrengths, identifyConcerns):
+//   { posts } when they fit in one prompt, otherwise
+//   { posts, summaries: { neighborhood: [{ text, postIds }] } }
+// Summaries are cited notes on each neighborhood, extracted batch by batch and
+// trimmed to the token budget; the prompts use them in place of the posts.
+async function summarizePostsForScoring(posts, neighborhoods, { city, preferences }) {
+    const batches = batchByTokens(posts, postTokens);
+    if (batches.length <= 1 || neighborhoods.length === 0) {
+        return { posts };
+    }
+
+    console.log(`\n📝 SUMMARIZING ${posts.length} posts in ${batches.length} batches per neighborhood...`);
+    const results = await mapConcurrent(batches, async (batch, b) => {
+        throwIfAborted();
+        try {
+            return await llm.runTask('summarizeNeighborhoodPosts', { city, preferences, neighborhoods, posts: batch });
+        } catch (e) {
+            console.warn(`Could not summarize batch ${b + 1}/${batches.length}: ${e.message}`);
+            return {};
+        }
+    });
+
+    // Notes in the caller's spelling of each neighborhood, earlier batches first
+    const summaries = Object.fromEntries(neighborhoods.map(name => [name, []]));
+    for (const result of results) {
+        for (const [name, notes] of Object.entries(result)) {
+            const neighborhood = neighborhoods.find(n => n.toLowerCase() === name.toLowerCase());
+            if (neighborhood) summaries[neighborhood].push(...notes.slice(0, MAX_NOTES_PER_BATCH));
+        }
+    }
+
+    const tokensPerNeighborhood = Math.floor(config.llm.postTokenBudget / neighborhoods.length);
+    for (const neighborhood of neighborhoods) {
+        let tokens = 0;
+        summaries[neighborhood] = summaries[neighborhood].filter(note => {
+            tokens += estimateTokens(`- ${note.text} [${note.postIds.join(', ')}]`);
+            return tokens <= tokensPerNeighborhood;
+        });
+    }
+    console.log(`✅ Summarized into ${Object.values(summaries).flat().length} notes`);
+    return { posts, summaries };
+}
+
+// Function to turn a thread and its top comments into the post record the
+// pipeline passes around and cites: { id, permalink, subreddit, score, createdAt, title, text }.
+// `text` is the selftext followed by the top comments, as the LLM sees it.
+function toPostRecord(post, comments) {
+    const lines = [];
+    if (post.selftext) {
+        lines.push(post.selftext.substring(0, MAX_POST_CHARS));
+    }
+    if (comments.length > 0) {
+        lines.push('Top comments:');
+        comments.forEach(c => lines.push(`- ${c.body.substring(0, MAX_COMMENT_CHARS)}`));
+    }
+    return {
+        id: post.id,
+        permalink: post.permalink,
+        subreddit: post.subreddit,
+        score: post.score,
+        createdAt: post.createdUtc ? new Date(post.createdUtc * 1000).toISOString() : null,
+        title: post.title,
+        text: lines.join('\n'),
+    };
+}
+
+// Function to turn LLM-supplied post IDs into citations, dropping IDs that
+// don't belong to any of the given posts
+function citePosts(postIds, posts) {
+    return [...new Set(postIds || [])]
+        .map(id => posts.find(p => p.id === id))
+        .filter(Boolean)
+        .map(p => ({ postId: p.id, permalink: p.permalink, subreddit: p.subreddit }));
+}
+
+// Reddit scraping function - searches specific subreddits and pulls each
+// matching thread's top comments, where most neighborhood advice is
+async function scrapeReddit(queries, city = null, subreddits = null) {
+    const posts = [];
+    const seen = new Set();
+    console.log('\n📡 REDDIT SCRAPING STARTING');
+    console.log(`Attempting to scrape ${queries.length} queries via the ${reddit.name} client...\n`);
+
+    // Use provided subreddits or dynamically discover them
+    let searchSubreddits = subreddits;
+    if (!searchSubreddits && city) {
+        searchSubreddits = await discoverSubreddits(city);
+    }
+    if (!searchSubreddits || searchSubreddits.length === 0) {
+        searchSubreddits = ['AskReddit'];
+    }
+
+    console.log(`Searching in subreddits: ${searchSubreddits.join(', ')}\n`);
+
+    // Queries, then the comments of every new thread, are fetched concurrently;
+    // the Reddit limiter paces the requests
+    const resultsByQuery = await Promise.all(queries.map(async query => {
+        try {
+            console.log(`  ⏳ Scraping: "${query}"`);
+            return await reddit.searchPosts(query, {
+                subreddits: searchSubreddits,
+                limit: config.reddit.postsPerQuery,
+            });
+        } catch (error) {
+            throwIfAborted();
+            console.error(`  ❌ Error scraping query "${query}": ${error.message}\n`);
+            return null;
+        }
+    }));
+
+    // Threads are kept once, under the first query that found them
+    const threadsByQuery = resultsByQuery.map(results => (results || []).filter(post => {
+        if (!post.title || seen.has(post.id)) return false;
+        seen.add(post.id);
+        return true;
+    }));
+
+    const commentsByQuery = await Promise.all(threadsByQuery.map(threads => Promise.all(threads.map(async post => {
+        if (!(config.reddit.commentsPerPost > 0 && post.numComments > 0)) return [];
+        try {
+            return await reddit.topComments(post.id, { limit: config.reddit.commentsPerPost });
+        } catch (error) {
+            throwIfAborted();
+            console.error(`  ⚠️  Could not load comments for ${post.id}: ${error.message}`);
+            return [];
+        }
+    }))));
+
+    queries.forEach((query, q) => {
+        if (!resultsByQuery[q]) return;
+        let foundCount = 0;
+        threadsByQuery[q].forEach((post, i) => {
+            const comments = commentsByQuery[q][i];
+            // Threads without selftext are kept when their comments have content
+            if (!post.selftext && comments.length === 0) return;
+            posts.push(toPostRecord(post, comments));
+            foundCount++;
+        });
+        console.log(`  ✅ Found ${foundCount} posts for "${query}"\n`);
+    });
+
+    console.log(`📊 Total posts scraped: ${posts.length}\n`);
+    return posts;
+}
+
+module.exports = {
+    discoverSubreddits,
+    identifyKeywords,
+    filterRelevantPosts,
+    postTokens,
+    summarizePostsForScoring,
+    scrapeReddit,
+    citePosts,
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { throwIfAborted } = require('../requestContext');
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'near', 'best', 'in', 'to', 'of', 'a', 'an', 'or']);
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function terms(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [])
+        .filter(word => word.length > 2 && !STOPWORDS.has(word))
+        .map(word => word.replace(/s$/, ''));
+}
+
+// Reddit client backed by local fixture files, for offline development and demos.
+//
+// Expected layout of `fixturesDir`:
+//   subreddits.json   [{ name, subscribers, over18, description }]
+//   posts.json        [{ id, title, selftext, subreddit, permalink, score, createdUtc,
+//                        comments: [{ id, body, score, createdUtc, permalink }] }]
+// Searches rank posts by how many query terms appear in the post or its comments.
+function createFileClient({ fixturesDir }) {
+    let data = null;
+
+    function load() {
+        if (data) return data;
+        data = {
+            subreddits: readJson(path.join(fixturesDir, 'subreddits.json'), []),
+            posts: readJson(path.join(fixturesDir, 'posts.json'), []),
+        };
+        console.log(`🗂️  Loaded Reddit fixtures: ${data.subreddits.length} subreddits, ${data.posts.length} posts`);
+        return data;
+    }
+
+    return {
+        name: 'file',
+
+        async searchSubreddits(query, { limit = 20 } = {}) {
+            throwIfAborted();
+            const queryTerms = terms(query);
+            return load().subreddits
+                .filter(s => {
+                    const text = terms(`${s.name} ${s.description}`).join(' ');
+                    return queryTerms.some(term => text.includes(term));
+                })
+                .slice(0, limit);
+        },
+
+        async searchPosts(query, { subreddits = [], limit = 25 } = {}) {
+            throwIfAborted();
+            const queryTerms = terms(query);
+            const allowed = new Set(subreddits.map(s => s.toLowerCase()));
+
+            return load().posts
+                .filter(post => allowed.size === 0 || allowed.has(post.subreddit.toLowerCase()))
+                .map(post => {
+                    const text = new Set(terms([post.title, post.selftext, ...(post.comments || []).map(c => c.body)].join(' ')));
+                    return { post, matches: queryTerms.filter(term => text.has(term)).length };
+                })
+                .filter(({ matches }) => matches > 0)
+                .sort((a, b) => b.matches - a.matches || b.post.score - a.post.score)
+                .slice(0, limit)
+                .map(({ post }) => {
+                    const { comments, ...fields } = post;
+                    return { ...fields, numComments: (comments || []).length };
+                });
+        },
+
+        async topComments(postId, { limit = 5 } = {}) {
+            throwIfAborted();
+            const post = load().posts.find(p => p.id === postId);
+            return post
+                ? [...(post.comments || [])].sort((a, b) => b.score - a.score).slice(0, limit)
+                : [];
+        },
+    };
+}
+
+module.exports = { createFileClient };
@@ -0,0 +1,144 @@
+const axios = require('axios');
+const { currentSignal } = require('../requestContext');
+const { sleep, createLimiter } = require('../scheduler');
+
+// Reddit returns at most 100 items per listing page
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+// Never wait longer than this for a rate-limit window to reset
+const MAX_WAIT_MS = 60 * 1000;
+
+// Convert a Reddit link (t3) into the client-neutral post shape
+function normalizePost(data) {
+    return {
+        id: data.id,
+        title: data.title,
+        selftext: data.selftext || '',
+        subreddit: data.subreddit,
+        permalink: `https://www.reddit.com${data.permalink}`,
+        score: data.score,
+        createdUtc: data.created_utc,
+        numComments: data.num_comments || 0,
+    };
+}
+
+// Convert a Reddit comment (t1) into the client-neutral comment shape
+function normalizeComment(data) {
+    return {
+        id: data.id,
+        body: data.body,
+        score: data.score,
+        createdUtc: data.created_utc,
+        permalink: `https://www.reddit.com${data.permalink}`,
+    };
+}
+
+// Reddit client over the HTTP API, shared by the OAuth and public clients.
+//
+// Requests go through `limiter` (see services/scheduler.js), which spaces them
+// out and retries 429 and 5xx responses with exponential backoff. On top of
+// that the X-Ratelimit-Remaining/-Reset headers are tracked, waiting for the
+// window to reset before running out. Listings follow `after` cursors until
+// enough items are collected.
+//
+// `authorize(refresh)` returns extra request headers (e.g. a bearer token);
+// it is called again with refresh=true after a 401. `suffix` is appended to
+// every path (".json" for the public endpoints).
+function createHttpClient({ name, baseUrl, userAgent, limiter = createLimiter(`Reddit (${name})`), authorize = async () => ({}), suffix = '' }) {
+    const rateLimit = { remaining: null, resetAt: 0 };
+
+    function recordRateLimit(headers = {}) {
+        const remaining = parseFloat(headers['x-ratelimit-remaining']);
+        const reset = parseFloat(headers['x-ratelimit-reset']);
+        if (!Number.isNaN(remaining)) rateLimit.remaining = remaining;
+        if (!Number.isNaN(reset)) rateLimit.resetAt = Date.now() + reset * 1000;
+    }
+
+    async function get(path, params, refreshAuth) {
+        if (rateLimit.remaining !== null && rateLimit.remaining < 1 && rateLimit.resetAt > Date.now()) {
+            const wait = Math.min(rateLimit.resetAt - Date.now(), MAX_WAIT_MS);
+            console.log(`  ⏳ Reddit rate limit reached, waiting ${Math.ceil(wait / 1000)}s`);
+            await sleep(wait);
+            rateLimit.remaining = null;
+        }
+
+        try {
+            const response = await axios.get(`${baseUrl}${path}${suffix}`, {
+                params: { raw_json: 1, ...params },
+                headers: { 'User-Agent': userAgent, ...(await authorize(refreshAuth)) },
+                timeout: 10000,
+                signal: currentSignal(),
+            });
+            recordRateLimit(response.headers);
+            return response.data;
+        } catch (error) {
+            if (error.response) recordRateLimit(error.response.headers);
+            throw error;
+        }
+    }
+
+    async function request(path, params = {}) {
+        try {
+            return await limiter.schedule(() => get(path, params, false), path);
+        } catch (error) {
+            // Refresh an expired or revoked token once
+            if (!error.response || error.response.status !== 401) throw error;
+            return limiter.schedule(() => get(path, params, true), path);
+        }
+    }
+
+    // Function to read up to `limit` children from a listing, page by page
+    async function paginate(path, params, limit) {
+        const children = [];
+        let after = null;
+        for (let page = 0; page < MAX_PAGES && children.length < limit; page++) {
+            const data = await request(path, {
+                ...params,
+                limit: Math.min(MAX_PAGE_SIZE, limit - children.length),
+                ...(after ? { after } : {}),
+            });
+            const listing = (data && data.data) || {};
+            children.push(...(listing.children || []));
+            after = listing.after;
+            if (!after) break;
+        }
+        return children.slice(0, limit);
+    }
+
+    return {
+        name,
+
+        async searchSubreddits(query, { limit = 20 } = {}) {
+            const children = await paginate('/subreddits/search', { q: query }, limit);
+            return children.map(({ data }) => ({
+                name: data.display_name,
+                subscribers: data.subscribers || 0,
+                over18: Boolean(data.over18),
+                description: data.public_description || '',
+            }));
+        },
+
+        async searchPosts(query, { subreddits = [], limit = 25, sort = 'relevance', time = 'all' } = {}) {
+            const filter = subreddits.map(s => `subreddit:${s}`).join(' OR ');
+            const children = await paginate('/search', {
+                q: filter ? `${query} (${filter})` : query,
+                type: 'link',
+                sort,
+                t: time,
+            }, limit);
+            return children.filter(child => child.kind === 't3').map(({ data }) => normalizePost(data));
+        },
+
+        async topComments(postId, { limit = 5 } = {}) {
+            const data = await request(`/comments/${postId}`, { sort: 'top', limit, depth: 1 });
+            const listing = Array.isArray(data) && data[1] && data[1].data ? data[1].data.children : [];
+            return listing
+                .filter(child => child.kind === 't1' && !child.data.stickied &&
+                    child.data.body && !['[deleted]', '[removed]'].includes(child.data.body))
+                .slice(0, limit)
+                .map(({ data: comment }) => normalizeComment(comment));
+        },
+    };
+}
+
+module.exports = { createHttpClient };
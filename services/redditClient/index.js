@@ -0,0 +1,41 @@
+const config = require('../../config');
+const { createHttpClient } = require('./httpClient');
+const { createTokenAuthorizer } = require('./oauth');
+const { createFileClient } = require('./fileClient');
+const { limiters } = require('../scheduler');
+
+// Every client implements the same interface:
+//   searchSubreddits(query, { limit })   -> [{ name, subscribers, over18, description }]
+//   searchPosts(query, { subreddits, limit, sort, time })
+//                                        -> [{ id, title, selftext, subreddit, permalink, score, createdUtc, numComments }]
+//   topComments(postId, { limit })       -> [{ id, body, score, createdUtc, permalink }]
+const clientFactories = {
+    oauth: () => createHttpClient({
+        name: 'oauth',
+        baseUrl: 'https://oauth.reddit.com',
+        userAgent: config.reddit.userAgent,
+        limiter: limiters.reddit,
+        authorize: createTokenAuthorizer(config.reddit),
+    }),
+    public: () => createHttpClient({
+        name: 'public',
+        baseUrl: 'https://www.reddit.com',
+        userAgent: config.reddit.userAgent,
+        limiter: limiters.reddit,
+        suffix: '.json',
+    }),
+    file: () => createFileClient({ fixturesDir: config.reddit.fixturesDir }),
+};
+
+// Function to build the Reddit client selected in config
+function createRedditClient(name = config.reddit.client) {
+    const factory = clientFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown Reddit client "${name}" (expected one of: ${Object.keys(clientFactories).join(', ')})`);
+    }
+    return factory();
+}
+
+module.exports = {
+    createRedditClient,
+};
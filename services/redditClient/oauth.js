@@ -0,0 +1,46 @@
+const axios = require('axios');
+const { currentSignal } = require('../requestContext');
+
+const TOKEN_URL = 'https://www.reddit.com/api/v1/access_token';
+// Refresh tokens this long before Reddit says they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Function to build an `authorize(refresh)` callback for createHttpClient that
+// fetches and caches a bearer token. Uses the app-only client_credentials grant,
+// or the password grant when a username and password are configured.
+function createTokenAuthorizer({ clientId, clientSecret, username, password, userAgent }) {
+    if (!clientId || !clientSecret) {
+        throw new Error('REDDIT_CLIENT_ID and REDDIT_CLIENT_SECRET are required for the oauth Reddit client');
+    }
+
+    let token = null;
+    let expiresAt = 0;
+
+    async function fetchToken() {
+        const body = new URLSearchParams(username && password
+            ? { grant_type: 'password', username, password }
+            : { grant_type: 'client_credentials' });
+
+        const response = await axios.post(TOKEN_URL, body.toString(), {
+            auth: { username: clientId, password: clientSecret },
+            headers: { 'User-Agent': userAgent, 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000,
+            signal: currentSignal(),
+        });
+        if (!response.data.access_token) {
+            throw new Error(`Reddit token request failed: ${response.data.error || 'no access_token returned'}`);
+        }
+
+        token = response.data.access_token;
+        expiresAt = Date.now() + response.data.expires_in * 1000 - EXPIRY_MARGIN_MS;
+    }
+
+    return async function authorize(refresh = false) {
+        if (refresh || !token || Date.now() >= expiresAt) {
+            await fetchToken();
+        }
+        return { Authorization: `Bearer ${token}` };
+    };
+}
+
+module.exports = { createTokenAuthorizer };
@@ -0,0 +1,94 @@
+const { llm } = require('./clients');
+const { runRecommendationPipeline } = require('./recommendations');
+
+// Conversational refinement of a finished search ("like #2 but quieter", "drop
+// the gym requirement, add parks"). The follow-up is turned into a delta
+// against the previous search, and only the steps the delta touches are rerun;
+// everything else comes from the previous run's session.
+
+// Function to apply a delta's amenity changes to the previous amenity needs
+function applyAmenityDelta({ amenitiesNeeded, specificBrands }, delta) {
+    const removed = new Set(delta.removeAmenities);
+    const types = amenitiesNeeded.filter(type => !removed.has(type));
+    const brands = Object.fromEntries(Object.entries(specificBrands).filter(([type]) => !removed.has(type)));
+    for (const { type, specificNames = [] } of delta.addAmenities) {
+        if (!types.includes(type)) types.push(type);
+        brands[type] = specificNames;
+    }
+    return { amenitiesNeeded: types, specificBrands: brands };
+}
+
+function sameAmenityNeeds(a, b) {
+    const key = ({ amenitiesNeeded, specificBrands }) => JSON.stringify(amenitiesNeeded
+        .map(type => [type, [...(specificBrands[type] || [])].sort()])
+        .sort((x, y) => x[0].localeCompare(y[0])));
+    return key(a) === key(b);
+}
+
+// Function to turn a follow-up message into a delta against a finished search:
+//   { preferences, addAmenities, removeAmenities, qualitativeChanged, budgetChanged }
+// Returns null when the LLM can't produce one.
+async function interpretRefinement(previous, message) {
+    try {
+        return await llm.runTask('refineSearch', {
+            city: previous.params.city,
+            preferences: previous.params.preferences,
+            message,
+            amenitiesNeeded: previous.session.amenityNeeds.amenitiesNeeded,
+            ranking: previous.result.recommendations.recommendations.map(rec => rec.neighborhood),
+        });
+    } catch (e) {
+        console.warn(`Could not interpret refinement (${e.message}), rerunning with the message appended`);
+        return null;
+    }
+}
+
+// Function to refine a finished search. `previous` is { params, result, session }
+// from the earlier run; `weights` and `anchors`, when given, replace the previous
+// ones. Resolves with { params, delta, reused, result }, where `reused` lists the
+// session entries that were carried over instead of recomputed.
+//
+// Without a delta (the follow-up couldn't be interpreted) the message is appended
+// to the preferences and the pipeline reruns, still scraping only new queries.
+async function refineSearch(previous, { message, weights, anchors }, { onEvent = () => {}, session = {} } = {}) {
+    console.log(`\n🔁 REFINING SEARCH: "${message}"`);
+    const delta = await interpretRefinement(previous, message);
+    const params = {
+        ...previous.params,
+        preferences: delta ? delta.preferences : `${previous.params.preferences}, ${message}`,
+    };
+    if (weights !== undefined) params.weights = weights;
+    if (anchors !== undefined) params.anchors = anchors;
+    onEvent('refinement_parsed', { delta, preferences: params.preferences });
+
+    const reuse = {};
+    if (previous.session.location) {
+        reuse.location = previous.session.location;
+    }
+    if (delta) {
+        const amenityNeeds = applyAmenityDelta(previous.session.amenityNeeds, delta);
+        reuse.amenityNeeds = amenityNeeds;
+        if (previous.session.amenityScores && sameAmenityNeeds(amenityNeeds, previous.session.amenityNeeds)) {
+            reuse.amenityScores = previous.session.amenityScores;
+        }
+        if (!delta.budgetChanged && 'budget' in previous.session) {
+            reuse.budget = previous.session.budget;
+        }
+        if (!delta.qualitativeChanged) {
+            reuse.posts = previous.session.posts;
+        }
+    }
+    if (!reuse.posts) {
+        reuse.earlierPosts = previous.session.posts;
+    }
+    console.log(`♻️  Reusing: ${Object.keys(reuse).join(', ')}`);
+
+    const result = await runRecommendationPipeline(params, { onEvent, reuse, session });
+    return { params, delta, reused: Object.keys(reuse), result };
+}
+
+module.exports = {
+    applyAmenityDelta,
+    interpretRefinement,
+    refineSearch,
+};
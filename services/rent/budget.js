@@ -0,0 +1,109 @@
+const config = require('../../config');
+const { llm } = require('../clients');
+const { typicalRent } = require('./prices');
+
+function round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function formatRent(amount) {
+    return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+// Function to describe a typical rent entry: "Typical 2BR rent $3,450/month"
+function describeTypicalRent(rent) {
+    const size = rent.bedrooms === null ? '' : rent.bedrooms === 0 ? 'studio ' : `${rent.bedrooms}BR `;
+    return `Typical ${size}rent ${formatRent(rent.amount)}/month`;
+}
+
+// Function to extract rent constraints from the preferences:
+//   { maxRent: 2500, bedrooms: 1, preferLowRent: false }
+// `maxRent` and `bedrooms` are null when not mentioned.
+async function parseBudget(preferences) {
+    try {
+        const parsed = await llm.runTask('extractBudget', { preferences });
+        return {
+            maxRent: parsed.maxRent ?? null,
+            bedrooms: parsed.bedrooms ?? null,
+            preferLowRent: Boolean(parsed.preferLowRent),
+        };
+    } catch (e) {
+        console.warn(`Could not parse budget (${e.message}), ignoring rent constraints`);
+        return { maxRent: null, bedrooms: null, preferLowRent: false };
+    }
+}
+
+// Function to look up typical rent for each candidate and score it against the budget:
+//   { neighborhoodName: { typicalRent, withinBudget, allowed, score } }
+//
+// With a `maxRent`, rents within budget score 1 and the score falls linearly to
+// 0 at `tolerance` over it; neighborhoods beyond that are not `allowed`. Without
+// one, `preferLowRent` scores rents relative to the other candidates (1 for the
+// cheapest). Neighborhoods without rent data are always allowed and unscored.
+function evaluateRents(neighborhoods, rents, budget, { tolerance = config.rent.budgetTolerance } = {}) {
+    const results = {};
+    for (const name of neighborhoods) {
+        results[name] = {
+            typicalRent: typicalRent(rents, name, budget.bedrooms),
+            withinBudget: null,
+            allowed: true,
+            score: null,
+        };
+    }
+
+    const known = Object.values(results).filter(r => r.typicalRent);
+    const amounts = known.map(r => r.typicalRent.amount);
+    const lowest = Math.min(...amounts);
+    const highest = Math.max(...amounts);
+
+    for (const result of known) {
+        const { amount } = result.typicalRent;
+        if (budget.maxRent !== null) {
+            const over = amount - budget.maxRent;
+            result.withinBudget = over <= 0;
+            result.allowed = over <= budget.maxRent * tolerance;
+            result.score = over <= 0 ? 1
+                : tolerance > 0 ? round(Math.max(0, 1 - over / (budget.maxRent * tolerance))) : 0;
+        } else if (budget.preferLowRent) {
+            result.score = highest > lowest ? round((highest - amount) / (highest - lowest)) : 1;
+        }
+    }
+    return results;
+}
+
+// Function to describe a neighborhood's rent against the budget as reason and concern texts
+function describeRent(result, budget) {
+    const reasons = [];
+    const concerns = [];
+    if (!result) return { reasons, concerns };
+
+    const rent = result.typicalRent;
+    if (!rent) {
+        if (budget.maxRent !== null) {
+            concerns.push(`No rent data to check against your ${formatRent(budget.maxRent)} budget`);
+        }
+        return { reasons, concerns };
+    }
+
+    const typical = describeTypicalRent(rent);
+    if (budget.maxRent !== null) {
+        if (result.withinBudget) {
+            reasons.push(`${typical}, within your ${formatRent(budget.maxRent)} budget`);
+        } else {
+            concerns.push(`${typical}, over your ${formatRent(budget.maxRent)} budget`);
+        }
+    } else if (budget.preferLowRent && result.score !== null) {
+        if (result.score >= 0.67) reasons.push(`${typical}, among the lower rents of the candidates`);
+        if (result.score <= 0.33) concerns.push(`${typical}, among the higher rents of the candidates`);
+    }
+    return { reasons, concerns };
+}
+
+module.exports = {
+    parseBudget,
+    evaluateRents,
+    describeRent,
+    formatRent,
+    describeTypicalRent,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { locationSlug } = require('../geo/boundaries');
+const { parseCsv } = require('../csv');
+
+// Column names tried, in order, when a city has no mapping file. Covers
+// neighborhood- or ZIP-keyed rent indices such as Zillow ZORI and Apartment List.
+const DEFAULT_COLUMNS = {
+    region: ['neighborhood', 'Neighborhood', 'RegionName', 'location_name', 'zip', 'ZIP', 'zipcode', 'zip_code', 'Zip Code'],
+    bedrooms: ['bedrooms', 'Bedrooms', 'beds', 'Bedroom_Size', 'bedroom_size'],
+    rent: ['rent', 'Rent', 'median_rent', 'Median Rent', 'rent_median', 'price'],
+    date: ['date', 'Date', 'month', 'period'],
+};
+
+// Month columns of wide exports: "2025-06-30" (Zillow) or "2025_06" (Apartment List)
+const MONTH_COLUMN = /^\d{4}[-_]\d{2}(?:[-_]\d{2})?$/;
+const ZIP_CODE = /^\d{5}$/;
+// Larger units are grouped with this size ("3+ bedrooms")
+const MAX_BEDROOMS = 3;
+
+// Parsed rent tables keyed by location slug (null when the city has no file)
+const loaded = new Map();
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function lookup(map, name) {
+    const key = Object.keys(map).find(k => k.toLowerCase() === name.toLowerCase());
+    return key !== undefined ? map[key] : undefined;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Function to read a field using a mapped column name, or the first default column present
+function pick(record, field, columns) {
+    const names = columns[field] ? [columns[field]] : DEFAULT_COLUMNS[field];
+    const name = names.find(n => record[n] !== undefined && record[n] !== '');
+    return name !== undefined ? record[name] : null;
+}
+
+function parseAmount(value) {
+    const amount = parseFloat(String(value ?? '').replace(/[$,\s]/g, ''));
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+// Function to normalize a bedroom label ("2", "_2br", "Studio", "_Overall") to
+// "0".."3" or "all"; null when it can't be read
+function parseBedrooms(value) {
+    const text = String(value ?? '').toLowerCase();
+    if (text === '' || /overall|all|any|total/.test(text)) return 'all';
+    if (text.includes('studio')) return '0';
+    const count = parseInt(text.replace(/^\D+/, ''), 10);
+    return Number.isInteger(count) ? String(Math.min(count, MAX_BEDROOMS)) : null;
+}
+
+// Function to read one row's rent and the month it's for: the rent column of a
+// long export, or the newest non-empty month column of a wide one
+function readRent(record, columns) {
+    const rent = pick(record, 'rent', columns);
+    if (rent !== null) {
+        const date = new Date(pick(record, 'date', columns));
+        return { amount: parseAmount(rent), asOf: Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 7) };
+    }
+    const month = Object.keys(record)
+        .filter(name => MONTH_COLUMN.test(name) && parseAmount(record[name]) !== null)
+        .sort()
+        .pop();
+    return month
+        ? { amount: parseAmount(record[month]), asOf: month.replace(/_/g, '-').slice(0, 7) }
+        : { amount: null, asOf: null };
+}
+
+// Function to load a location's rent index from `<rentDir>/<location-slug>.csv`, with
+// an optional column mapping and ZIP-to-neighborhood table in `<location-slug>.mapping.json`:
+//   { "columns": { "region": "RegionName", "bedrooms": "Bedroom_Size", "rent": "median_rent" },
+//     "zipNeighborhoods": { "94110": "Mission District" } }
+//
+// Rows are keyed by neighborhood name, or by ZIP code looked up in
+// `zipNeighborhoods` (unmapped ZIPs are skipped). Only the newest month of each
+// region and bedroom size is kept; a neighborhood covering several ZIPs gets
+// their median. Returns null when no rent file exists for the city.
+function loadRents(location) {
+    const slug = locationSlug(location);
+    const city = location.label;
+    if (loaded.has(slug)) return loaded.get(slug);
+
+    const filePath = path.join(config.rent.dir, `${slug}.csv`);
+    let dataset = null;
+    if (fs.existsSync(filePath)) {
+        try {
+            const mapping = readJson(path.join(config.rent.dir, `${slug}.mapping.json`), {});
+            const columns = mapping.columns || {};
+            const zipNeighborhoods = mapping.zipNeighborhoods || {};
+            const rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+
+            // Newest observation per region and bedroom size
+            const latest = new Map();
+            for (const row of rows) {
+                const region = String(pick(row, 'region', columns) ?? '').trim();
+                const neighborhood = ZIP_CODE.test(region) ? zipNeighborhoods[region] : region;
+                const bedrooms = parseBedrooms(pick(row, 'bedrooms', columns));
+                const { amount, asOf } = readRent(row, columns);
+                if (!neighborhood || bedrooms === null || amount === null) continue;
+
+                const key = `${region}|${bedrooms}`;
+                const previous = latest.get(key);
+                if (!previous || String(asOf) > String(previous.asOf)) {
+                    latest.set(key, { neighborhood, bedrooms, amount, asOf });
+                }
+            }
+
+            const grouped = {};
+            for (const { neighborhood, bedrooms, amount, asOf } of latest.values()) {
+                grouped[neighborhood] = grouped[neighborhood] || {};
+                grouped[neighborhood][bedrooms] = grouped[neighborhood][bedrooms] || [];
+                grouped[neighborhood][bedrooms].push({ amount, asOf });
+            }
+
+            const neighborhoods = {};
+            for (const [neighborhood, sizes] of Object.entries(grouped)) {
+                neighborhoods[neighborhood] = {};
+                for (const [bedrooms, observations] of Object.entries(sizes)) {
+                    neighborhoods[neighborhood][bedrooms] = {
+                        amount: Math.round(median(observations.map(o => o.amount))),
+                        asOf: observations.map(o => o.asOf).filter(Boolean).sort().pop() || null,
+                        regions: observations.length,
+                    };
+                }
+            }
+
+            dataset = { city, source: path.basename(filePath), neighborhoods };
+            console.log(`🏠 Loaded rents for ${Object.keys(neighborhoods).length} neighborhoods in ${city} from ${dataset.source}`);
+        } catch (error) {
+            console.error(`❌ Could not load rents from ${filePath}: ${error.message}`);
+        }
+    }
+
+    loaded.set(slug, dataset);
+    return dataset;
+}
+
+// Function to look up a neighborhood's typical monthly rent (case-insensitive):
+//   { amount, bedrooms, asOf, source }
+// `bedrooms` is the unit size the figure is for (0 for studios), or null for all
+// sizes. When a size is requested only that size or the all-sizes figure is used.
+// Returns null when the neighborhood has no rent data.
+function typicalRent(rents, neighborhood, bedrooms = null) {
+    if (!rents) return null;
+    const sizes = lookup(rents.neighborhoods, neighborhood);
+    if (!sizes) return null;
+
+    const order = bedrooms !== null
+        ? [String(Math.min(bedrooms, MAX_BEDROOMS)), 'all']
+        : ['all', '1', '2', '0', '3'];
+    const size = order.find(key => sizes[key]);
+    if (!size) return null;
+
+    return {
+        amount: sizes[size].amount,
+        bedrooms: size === 'all' ? null : Number(size),
+        asOf: sizes[size].asOf,
+        source: rents.source,
+    };
+}
+
+module.exports = {
+    loadRents,
+    typicalRent,
+};
@@ -0,0 +1,223 @@
+const { escapeXml: escapeHtml, mapDataByCity, resultFeatures } = require('./export');
+const { describeTypicalRent } = require('./rent/budget');
+
+// Standalone HTML report of a finished search, for sharing without the app: the
+// query, the ranking with reasons, concerns and their cited posts, amenity
+// tables and an SVG map per city. Everything is inline (styles, map), so the
+// file works offline; the only links are to the cited Reddit threads.
+
+const MAP_WIDTH = 640;
+const MAP_MAX_HEIGHT = 480;
+const MAP_PADDING = 0.06;
+const POST_EXCERPT_LENGTH = 600;
+
+// Marker colors, assigned to amenity types in the order they appear
+const PALETTE = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#469990', '#808000'];
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #222; max-width: 900px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+h1 { margin-bottom: 0.2rem; }
+.meta { color: #666; margin-top: 0; }
+table { border-collapse: collapse; margin: 0.5rem 0 1rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f4f4f4; }
+td.num { text-align: right; }
+section.neighborhood { border-top: 2px solid #eee; padding-top: 0.5rem; margin-top: 1.5rem; }
+.score { font-weight: bold; color: #2a7; }
+.concerns li { color: #a33; }
+sup a { text-decoration: none; }
+.legend span { display: inline-block; margin-right: 1rem; }
+.swatch { display: inline-block; width: 0.8rem; height: 0.8rem; border-radius: 50%; margin-right: 0.3rem; vertical-align: middle; }
+svg { border: 1px solid #ccc; background: #f8f8f4; max-width: 100%; height: auto; }
+.post { border-left: 3px solid #ddd; padding-left: 0.8rem; margin-bottom: 1rem; }
+.post p { white-space: pre-wrap; margin: 0.3rem 0; }
+footer { color: #888; font-size: 0.85rem; margin-top: 2rem; }
+`;
+
+function percent(score) {
+    return score === null || score === undefined ? '–' : `${Math.round(score * 100)}%`;
+}
+
+// Function to turn a Places type into a label: "grocery_or_supermarket" -> "grocery / supermarket"
+function amenityLabel(type) {
+    return type.replace(/_or_/g, ' / ').replace(/_/g, ' ');
+}
+
+// Function to render a statement with links to the cited posts further down
+function renderStatement(statement) {
+    const links = statement.citations.map(c => `<sup><a href="#post-${escapeHtml(c.postId)}">[${escapeHtml(c.subreddit ? `r/${c.subreddit}` : c.postId)}]</a></sup>`);
+    return `<li>${escapeHtml(statement.text)}${links.join('')}</li>`;
+}
+
+function renderRanking(recommendations, multiCity) {
+    const components = [...new Set(recommendations.flatMap(rec => Object.keys(rec.scoreBreakdown || {})))];
+    const header = ['#', 'Neighborhood', ...(multiCity ? ['City'] : []), 'Match', ...components.map(c => c[0].toUpperCase() + c.slice(1))];
+    const rows = recommendations.map((rec, i) => {
+        const cells = [
+            `<td class="num">${i + 1}</td>`,
+            `<td><a href="#rank-${i + 1}">${escapeHtml(rec.neighborhood)}</a></td>`,
+            ...(multiCity ? [`<td>${escapeHtml(rec.city)}</td>`] : []),
+            `<td class="num score">${percent(rec.matchScore)}</td>`,
+            ...components.map(c => `<td class="num">${percent(rec.scoreBreakdown[c] && rec.scoreBreakdown[c].score)}</td>`),
+        ];
+        return `<tr>${cells.join('')}</tr>`;
+    });
+    return `<table><thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderAmenityTable(rec) {
+    const entries = Object.entries(rec.amenityBreakdown || {});
+    if (entries.length === 0) return '';
+    const densities = rec.scoreBreakdown && rec.scoreBreakdown.amenities ? rec.scoreBreakdown.amenities : null;
+    const perKm2 = densities && densities.densityUnit === 'per_km2';
+    return `<table><thead><tr><th>Amenity</th><th>Count</th>${perKm2 ? '<th>Per km²</th>' : ''}</tr></thead><tbody>` +
+        entries.map(([type, count]) => `<tr><td>${escapeHtml(amenityLabel(type))}</td><td class="num">${count}</td>` +
+            (perKm2 ? `<td class="num">${densities.densities[type] ?? ''}</td>` : '') + '</tr>').join('') +
+        '</tbody></table>';
+}
+
+function renderNeighborhood(rec, rank, multiCity) {
+    const facts = [];
+    if (rec.typicalRent) facts.push(describeTypicalRent(rec.typicalRent));
+    if (rec.safety) facts.push(`Safety index ${percent(rec.safety.index)}, #${rec.safety.rank} for lowest reported crime`);
+
+    return `<section class="neighborhood" id="rank-${rank}">
+<h3>${rank}. ${escapeHtml(rec.neighborhood)}${multiCity ? `, ${escapeHtml(rec.city)}` : ''} <span class="score">${percent(rec.matchScore)}</span></h3>
+${facts.length > 0 ? `<p>${facts.map(escapeHtml).join(' · ')}</p>` : ''}
+<h4>Why it matches</h4>
+<ul>${rec.matchReasons.map(renderStatement).join('')}</ul>
+${rec.concerns.length > 0 ? `<h4>Concerns</h4>\n<ul class="concerns">${rec.concerns.map(renderStatement).join('')}</ul>` : ''}
+${renderAmenityTable(rec)}
+</section>`;
+}
+
+// Function to draw one city's recommended neighborhoods and amenity markers as
+// an inline SVG. Coordinates are projected equirectangularly, with longitude
+// scaled by cos(latitude) so shapes keep their proportions at city scale.
+function renderMap(features, colors) {
+    const positions = features.flatMap(({ geometry }) => {
+        if (!geometry) return [];
+        if (geometry.type === 'Point') return [geometry.coordinates];
+        if (geometry.type === 'Polygon') return geometry.coordinates.flat();
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat(2);
+        return [];
+    });
+    if (positions.length === 0) return '<p>No map data.</p>';
+
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    let [minLng, maxLng, minLat, maxLat] = [Math.min(...lngs), Math.max(...lngs), Math.min(...lats), Math.max(...lats)];
+    const padLng = Math.max((maxLng - minLng) * MAP_PADDING, 0.002);
+    const padLat = Math.max((maxLat - minLat) * MAP_PADDING, 0.002);
+    [minLng, maxLng, minLat, maxLat] = [minLng - padLng, maxLng + padLng, minLat - padLat, maxLat + padLat];
+
+    const xScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = (maxLng - minLng) * xScale;
+    const spanY = maxLat - minLat;
+    const scale = Math.min(MAP_WIDTH / spanX, MAP_MAX_HEIGHT / spanY);
+    const width = Math.round(spanX * scale);
+    const height = Math.round(spanY * scale);
+    const project = ([lng, lat]) => [((lng - minLng) * xScale * scale).toFixed(1), ((maxLat - lat) * scale).toFixed(1)];
+    const ringPath = ring => ring.map((p, i) => `${i === 0 ? 'M' : 'L'}${project(p).join(',')}`).join('') + 'Z';
+
+    const shapes = [];
+    const labels = [];
+    const markers = [];
+    for (const { geometry, properties } of features) {
+        if (!geometry) continue;
+        const title = `<title>${escapeHtml(properties.kind === 'neighborhood'
+            ? `#${properties.rank} ${properties.neighborhood} (${percent(properties.matchScore)})`
+            : properties.kind === 'amenity' ? `${properties.name} (${amenityLabel(properties.amenityType)})` : properties.name)}</title>`;
+
+        if (properties.kind === 'neighborhood') {
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+            if (polygons.length > 0) {
+                shapes.push(`<path d="${polygons.flatMap(rings => rings.map(ringPath)).join('')}" fill="#2a7" fill-opacity="0.15" stroke="#2a7" stroke-width="1.5" fill-rule="evenodd">${title}</path>`);
+            }
+            if (properties.lat !== undefined) {
+                const [x, y] = project([properties.lng, properties.lat]);
+                labels.push(`<text x="${x}" y="${y}" text-anchor="middle" dominant-baseline="middle" font-size="13" font-weight="bold" fill="#174" stroke="#fff" stroke-width="3" paint-order="stroke">${properties.rank}${title}</text>`);
+            }
+        } else if (properties.kind === 'amenity') {
+            const [x, y] = project(geometry.coordinates);
+            markers.push(`<circle cx="${x}" cy="${y}" r="4" fill="${colors[properties.amenityType]}" stroke="#fff" stroke-width="1">${title}</circle>`);
+        } else if (properties.kind === 'city_center') {
+            const [x, y] = project(geometry.coordinates);
+            markers.push(`<path d="M${x - 5},${y}h10M${x},${y - 5}v10" stroke="#333" stroke-width="2">${title}</path>`);
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">` +
+        `${shapes.join('')}${markers.join('')}${labels.join('')}</svg>`;
+}
+
+function renderMaps(result, features) {
+    const types = [...new Set(features.filter(f => f.properties.kind === 'amenity').map(f => f.properties.amenityType))];
+    const colors = Object.fromEntries(types.map((type, i) => [type, PALETTE[i % PALETTE.length]]));
+    const legend = types.length > 0
+        ? `<p class="legend">${types.map(type => `<span><i class="swatch" style="background:${colors[type]}"></i>${escapeHtml(amenityLabel(type))}</span>`).join('')}` +
+            '<span>Numbers: neighborhood rank · +: city center</span></p>'
+        : '';
+
+    const maps = mapDataByCity(result).map(([city]) => {
+        const cityFeatures = features.filter(f => f.properties.city === city);
+        return `${result.cities ? `<h3>${escapeHtml(city)}</h3>` : ''}${renderMap(cityFeatures, colors)}`;
+    });
+    return `${maps.join('\n')}\n${legend}`;
+}
+
+function renderPosts(posts) {
+    if (posts.length === 0) return '';
+    return '<h2>Cited posts</h2>\n' + posts.map(post => {
+        const text = post.text.length > POST_EXCERPT_LENGTH ? `${post.text.slice(0, POST_EXCERPT_LENGTH)}…` : post.text;
+        const date = post.createdAt ? post.createdAt.slice(0, 10) : '';
+        return `<div class="post" id="post-${escapeHtml(post.id)}">
+<strong><a href="${escapeHtml(post.permalink)}">${escapeHtml(post.title)}</a></strong><br>
+<small>r/${escapeHtml(post.subreddit)} · ${post.score} points${date ? ` · ${date}` : ''}</small>
+<p>${escapeHtml(text)}</p>
+</div>`;
+    }).join('\n');
+}
+
+// Function to render a search result as a standalone HTML page. `generatedAt`
+// is shown in the footer (defaults to now).
+function renderReport(result, { generatedAt = new Date() } = {}) {
+    const multiCity = Boolean(result.cities);
+    const place = multiCity ? result.cities.join(', ') : result.city;
+    const recommendations = result.recommendations.recommendations;
+    const features = resultFeatures(result);
+
+    const details = [];
+    if (result.coverage) details.push(`Coverage: ${result.coverage}`);
+    if (result.budget && result.budget.maxRent !== null) {
+        details.push(`Budget: $${Math.round(result.budget.maxRent).toLocaleString('en-US')}/month${result.budget.applied === false ? ' (not checked: no rent data)' : ''}`);
+    }
+    if (multiCity && result.skippedCities.length > 0) {
+        details.push(`No results in ${result.skippedCities.map(s => s.city).join(', ')}`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Neighborhoods in ${escapeHtml(place)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Neighborhoods in ${escapeHtml(place)}</h1>
+<p class="meta">“${escapeHtml(result.userPreferences)}”${details.length > 0 ? `<br>${details.map(escapeHtml).join(' · ')}` : ''}</p>
+<h2>Ranking</h2>
+${renderRanking(recommendations, multiCity)}
+<h2>Map</h2>
+${renderMaps(result, features)}
+<h2>Neighborhoods</h2>
+${recommendations.map((rec, i) => renderNeighborhood(rec, i + 1, multiCity)).join('\n')}
+${renderPosts(result.citedPosts || [])}
+<footer>Generated ${escapeHtml(generatedAt.toISOString().slice(0, 16).replace('T', ' '))} UTC. Scores are 0-100% matches for the preferences above; see each neighborhood for the reasons.</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReport };
@@ -0,0 +1,76 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+// Per-search context (the cancellation signal and deadline) that follows async
+// calls, so external clients can abort in-flight work without every helper
+// having to pass it along.
+const storage = new AsyncLocalStorage();
+
+// Error for a search stopped at its deadline; `status` is the HTTP status to send
+class DeadlineError extends Error {
+    constructor(message, status = 504) {
+        super(message);
+        this.name = 'DeadlineError';
+        this.status = status;
+    }
+}
+
+// Function to run `fn` with the given context visible to everything it awaits
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+// Function to run a search under the overall deadline (config.searches.deadlineSeconds
+// unless `timeoutMs` says otherwise). Its signal aborts with a DeadlineError once the
+// deadline passes, or with `signal`'s reason when that aborts first (cancellation),
+// and the returned promise rejects with that reason right away, even if some step
+// doesn't watch the signal.
+async function runWithDeadline(fn, { signal, timeoutMs = config.searches.deadlineSeconds * 1000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new DeadlineError(`Search did not finish within ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    const combined = AbortSignal.any(signal ? [signal, controller.signal] : [controller.signal]);
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(combined.reason);
+        if (combined.aborted) onAbort();
+        else combined.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+        return await Promise.race([
+            runWithContext({ signal: combined, deadline: Date.now() + timeoutMs }, fn),
+            aborted,
+        ]);
+    } finally {
+        clearTimeout(timer);
+        combined.removeEventListener('abort', onAbort);
+    }
+}
+
+// Function to get the AbortSignal of the current search, if any
+function currentSignal() {
+    const context = storage.getStore();
+    return context ? context.signal : undefined;
+}
+
+// Function to get the time (ms since epoch) the current search must finish by, if any
+function currentDeadline() {
+    const context = storage.getStore();
+    return context ? context.deadline : undefined;
+}
+
+// Function to stop work early when the current search has been cancelled
+function throwIfAborted() {
+    const signal = currentSignal();
+    if (signal) signal.throwIfAborted();
+}
+
+module.exports = {
+    DeadlineError,
+    runWithContext,
+    runWithDeadline,
+    currentSignal,
+    currentDeadline,
+    throwIfAborted,
+};
@@ -0,0 +1,160 @@
+const config = require('../config');
+const { currentSignal, currentDeadline, throwIfAborted } = require('./requestContext');
+
+// Scheduling of calls to external APIs (Google Maps, Reddit, OpenAI).
+//
+// Each API has one shared limiter: at most `concurrency` of its calls run at a
+// time, and calls start at most `qps` per second (0 for no limit), across every
+// search in the process. Callers just fire their calls concurrently and the
+// limiter queues them. Failed calls that may succeed later (429, 5xx, network
+// errors) are retried with exponential backoff, honoring Retry-After. Waiting
+// stops as soon as the current search is cancelled or runs past its deadline.
+
+const BASE_BACKOFF_MS = 1000;
+// Never wait longer than this before a retry
+const MAX_BACKOFF_MS = 60 * 1000;
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// Function to wait `ms`, giving up early when the current search is cancelled
+function sleep(ms) {
+    const signal = currentSignal();
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// HTTP status of a failed call: axios errors (Maps, Reddit) keep it on the
+// response, OpenAI errors on the error itself
+function errorStatus(error) {
+    return (error.response && error.response.status) || error.status;
+}
+
+function headerOf(error, name) {
+    const headers = (error.response && error.response.headers) || error.headers;
+    if (!headers) return undefined;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// Function to tell whether a failed call is worth retrying. Callers mark other
+// transient failures with `error.retryable = true`.
+function isRetryable(error) {
+    const status = errorStatus(error);
+    return error.retryable === true ||
+        status === 429 || (status >= 500 && status < 600) ||
+        RETRYABLE_CODES.includes(error.code) ||
+        error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+}
+
+// Function to work out how long to wait before retry number `attempt` (from 0)
+function backoffDelay(error, attempt) {
+    const retryAfter = parseFloat(headerOf(error, 'retry-after'));
+    if (errorStatus(error) === 429 && retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+    }
+    // Jittered so calls that failed together don't all retry together
+    return Math.round(Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS) * (0.75 + Math.random() / 2));
+}
+
+// Function to build a limiter for one API. `schedule(fn, label)` runs `fn` (which
+// makes one call) once a slot is free, retrying it up to `maxRetries` times;
+// `label` names the call in retry logs. A `concurrency` or `qps` of 0 is no limit.
+function createLimiter(name, { concurrency = 0, qps = 0, maxRetries = 3 } = {}) {
+    const maxRunning = concurrency > 0 ? concurrency : Infinity;
+    const waiting = [];
+    let running = 0;
+    let nextStartAt = 0;
+
+    function release() {
+        running--;
+        while (running < maxRunning && waiting.length > 0) {
+            running++;
+            waiting.shift().grant();
+        }
+    }
+
+    // Function to wait for a free slot; resolves once the caller holds one
+    function acquire() {
+        const signal = currentSignal();
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(signal.reason);
+            if (running < maxRunning) {
+                running++;
+                return resolve();
+            }
+            const entry = {
+                grant() {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve();
+                },
+            };
+            function onAbort() {
+                waiting.splice(waiting.indexOf(entry), 1);
+                reject(signal.reason);
+            }
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            waiting.push(entry);
+        });
+    }
+
+    async function runOnce(fn) {
+        await acquire();
+        try {
+            if (qps > 0) {
+                const startAt = Math.max(Date.now(), nextStartAt);
+                nextStartAt = startAt + 1000 / qps;
+                if (startAt > Date.now()) await sleep(startAt - Date.now());
+            }
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    async function schedule(fn, label = name) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await runOnce(fn);
+            } catch (error) {
+                // A cancelled or timed-out search fails with its own reason, not the call's
+                throwIfAborted();
+                if (!isRetryable(error) || attempt >= maxRetries) throw error;
+
+                const wait = backoffDelay(error, attempt);
+                const deadline = currentDeadline();
+                if (deadline && Date.now() + wait >= deadline) throw error;
+
+                console.warn(`  ⚠️  ${name} ${errorStatus(error) || error.code || error.message} on ${label}, retrying in ${wait}ms`);
+                await sleep(wait);
+            }
+        }
+    }
+
+    return {
+        name,
+        schedule,
+        // Calls running and queued right now
+        stats: () => ({ running, queued: waiting.length }),
+    };
+}
+
+// Shared limiters, one per external API
+const limiters = {
+    maps: createLimiter('Google Maps', config.geo.limits),
+    reddit: createLimiter('Reddit', config.reddit.limits),
+    openai: createLimiter('OpenAI', config.llm.limits),
+};
+
+module.exports = {
+    sleep,
+    createLimiter,
+    limiters,
+};
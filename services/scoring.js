@@ -0,0 +1,119 @@
+// Composite neighborhood scoring: each signal (amenity density, qualitative
+// fit, ...) is a 0-1 component score, and matchScore is their weighted mean.
+
+const DEFAULT_COMPONENT_WEIGHTS = {
+    amenities: 0.6,
+    qualitative: 0.4,
+    commute: 0.5,
+    safety: 0.5,
+    rent: 0.5,
+};
+
+function round(value, decimals = 3) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function isWeight(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Function to validate and fill in the `weights` object from a request body:
+//   { amenities: 0.6, qualitative: 0.4, amenityTypes: { gym: 2, park: 1 } }
+// Throws with a client-facing message when a weight is invalid or unknown.
+function parseWeights(weights = {}) {
+    if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+        throw new Error('weights must be an object');
+    }
+
+    const { amenityTypes = {}, ...components } = weights;
+    for (const [name, value] of Object.entries(components)) {
+        if (!(name in DEFAULT_COMPONENT_WEIGHTS)) {
+            throw new Error(`Unknown weight "${name}"; use ${[...Object.keys(DEFAULT_COMPONENT_WEIGHTS), 'amenityTypes'].join(', ')}`);
+        }
+        if (!isWeight(value)) throw new Error(`weights.${name} must be a non-negative number`);
+    }
+    for (const [type, value] of Object.entries(amenityTypes)) {
+        if (!isWeight(value)) throw new Error(`weights.amenityTypes.${type} must be a non-negative number`);
+    }
+
+    return {
+        components: { ...DEFAULT_COMPONENT_WEIGHTS, ...components },
+        amenityTypes,
+    };
+}
+
+// Function to score amenity density for every candidate neighborhood.
+//
+// Counts are divided by the neighborhood's area when a boundary polygon is
+// known (per km²), normalized per type against the densest candidate, and
+// averaged using the per-type weights (default 1). A neighborhood missing a
+// requested type gets 0 for it, so variety is rewarded naturally.
+function scoreAmenityDensity(neighborhoods, amenityTypes, { typeWeights = {}, areaFor = () => null } = {}) {
+    const densities = {};
+    for (const n of neighborhoods) {
+        const areaKm2 = areaFor(n.neighborhood);
+        densities[n.neighborhood] = { areaKm2, byType: {} };
+        for (const type of amenityTypes) {
+            const count = (n.amenityCounts && n.amenityCounts[type]) || 0;
+            densities[n.neighborhood].byType[type] = areaKm2 ? count / areaKm2 : count;
+        }
+    }
+
+    const maxByType = {};
+    for (const type of amenityTypes) {
+        maxByType[type] = Math.max(0, ...Object.values(densities).map(d => d.byType[type]));
+    }
+
+    const totalWeight = amenityTypes.reduce((sum, type) => sum + (typeWeights[type] ?? 1), 0);
+    const results = {};
+    for (const [name, { areaKm2, byType }] of Object.entries(densities)) {
+        const weighted = amenityTypes.reduce((sum, type) => {
+            const normalized = maxByType[type] > 0 ? byType[type] / maxByType[type] : 0;
+            return sum + normalized * (typeWeights[type] ?? 1);
+        }, 0);
+
+        results[name] = {
+            score: totalWeight > 0 ? round(weighted / totalWeight) : null,
+            areaKm2: areaKm2 ? round(areaKm2, 2) : null,
+            densityUnit: areaKm2 ? 'per_km2' : 'count',
+            densities: Object.fromEntries(Object.entries(byType).map(([type, d]) => [type, round(d, 2)])),
+        };
+    }
+    return results;
+}
+
+// Function to blend component scores into a 0-1 matchScore.
+// `components` maps a component name to { score, ...details }; components with
+// a null score (not applicable to this search) are left out and the remaining
+// weights renormalized.
+function computeMatchScore(components, componentWeights) {
+    const active = Object.entries(components).filter(([name, c]) =>
+        c && c.score !== null && c.score !== undefined && (componentWeights[name] ?? 0) > 0);
+    const totalWeight = active.reduce((sum, [name]) => sum + componentWeights[name], 0);
+
+    const breakdown = {};
+    for (const [name, component] of Object.entries(components)) {
+        if (!component) continue;
+        const isActive = active.some(([activeName]) => activeName === name);
+        const weight = isActive ? componentWeights[name] / totalWeight : 0;
+        breakdown[name] = {
+            ...component,
+            weight: round(weight),
+            contribution: isActive ? round(component.score * weight) : 0,
+        };
+    }
+
+    const matchScore = totalWeight > 0
+        ? active.reduce((sum, [name, c]) => sum + c.score * (componentWeights[name] / totalWeight), 0)
+        : 0;
+
+    return { matchScore: round(Math.max(0, Math.min(1, matchScore)), 2), breakdown };
+}
+
+module.exports = {
+    DEFAULT_COMPONENT_WEIGHTS,
+    parseWeights,
+    scoreAmenityDensity,
+    computeMatchScore,
+};
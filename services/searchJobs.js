@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { runRecommendationPipeline } = require('./recommendations');
+const { refineSearch } = require('./refine');
+const { runWithDeadline } = require('./requestContext');
+
+// Longest time an expired job is kept before the periodic sweep drops it
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// In-process queue of recommendation searches. At most `concurrency` searches
+// run at once so several users can't overload the Maps, Reddit and OpenAI
+// APIs; the rest wait in FIFO order. Finished jobs are kept for `ttlMs` so
+// clients can poll for the result, then dropped on the next lookup, submission
+// or periodic sweep. Each job keeps its pipeline session so a completed search
+// can be refined into a new one without starting over.
+function createSearchQueue({ concurrency, ttlMs }) {
+    const jobs = new Map();
+    const waiting = [];
+    let running = 0;
+
+    function prune() {
+        const cutoff = Date.now() - ttlMs;
+        for (const [id, job] of jobs) {
+            if (job.finishedAt && job.finishedAt.getTime() < cutoff) jobs.delete(id);
+        }
+    }
+
+    // Expired results, sessions and posts are freed even when no one submits or
+    // polls; the timer doesn't keep the process alive
+    setInterval(prune, Math.min(ttlMs, PRUNE_INTERVAL_MS)).unref();
+
+    function finish(job, status, fields = {}) {
+        Object.assign(job, { status, finishedAt: new Date() }, fields);
+        console.log(`🧾 Search ${job.id} ${status}${fields.error ? `: ${fields.error.message}` : ''}`);
+    }
+
+    async function run(job) {
+        running++;
+        job.status = 'running';
+        job.startedAt = new Date();
+
+        const onEvent = (type) => {
+            job.step = type;
+            job.completedSteps.push(type);
+        };
+
+        // The deadline or a cancel rejects runWithDeadline right away, before the
+        // pipeline's in-flight calls unwind; the job keeps its slot until they have
+        let pipeline = null;
+        let status;
+        let fields;
+        try {
+            const result = await runWithDeadline(() => {
+                pipeline = (async () => {
+                    if (!job.refinement) {
+                        return runRecommendationPipeline(job.params, { onEvent, session: job.session });
+                    }
+                    const refined = await refineSearch(job.previous, job.refinement.request, { onEvent, session: job.session });
+                    job.params = refined.params;
+                    Object.assign(job.refinement, { delta: refined.delta, reused: refined.reused });
+                    return refined.result;
+                })();
+                return pipeline;
+            }, { signal: job.controller.signal });
+            status = 'completed';
+            fields = { result };
+        } catch (error) {
+            const { message, status: errorStatus = 500, candidates } = error;
+            status = 'failed';
+            fields = { error: candidates ? { message, status: errorStatus, candidates } : { message, status: errorStatus } };
+        }
+        if (pipeline) await pipeline.catch(() => {});
+
+        if (job.controller.signal.aborted) {
+            finish(job, 'cancelled');
+        } else {
+            finish(job, status, fields);
+        }
+        running--;
+        next();
+    }
+
+    function next() {
+        while (running < concurrency && waiting.length > 0) {
+            const job = waiting.shift();
+            if (job.status === 'queued') run(job);
+        }
+    }
+
+    function enqueue(params, fields = {}) {
+        prune();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            step: null,
+            completedSteps: [],
+            params,
+            session: {},
+            refinement: null,
+            previous: null,
+            controller: new AbortController(),
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            ...fields,
+        };
+        jobs.set(job.id, job);
+        waiting.push(job);
+        console.log(`🧾 Search ${job.id} queued (${running} running, ${waiting.length} waiting)`);
+        next();
+        return job;
+    }
+
+    return {
+        // Function to queue a search and return its job right away
+        submit(params) {
+            return enqueue(params);
+        },
+
+        // Function to queue a refinement of a completed search as a new job.
+        // `request` is { message, weights, anchors } from the follow-up.
+        refine(parent, request) {
+            return enqueue(parent.params, {
+                refinement: { parentId: parent.id, request, delta: null, reused: null },
+                previous: { params: parent.params, result: parent.result, session: parent.session },
+            });
+        },
+
+        get(id) {
+            prune();
+            return jobs.get(id) || null;
+        },
+
+        // Function to cancel a queued or running search; returns false once it has
+        // finished or was already cancelled
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job || job.finishedAt || job.controller.signal.aborted) return false;
+
+            job.controller.abort();
+            if (job.status === 'queued') {
+                waiting.splice(waiting.indexOf(job), 1);
+                finish(job, 'cancelled');
+            } else {
+                // Running jobs are marked cancelled by run() once their in-flight calls unwind
+                job.status = 'cancelling';
+            }
+            return true;
+        },
+
+        // Function to describe a job for API responses
+        toJSON(job) {
+            return {
+                id: job.id,
+                status: job.status,
+                step: job.step,
+                completedSteps: job.completedSteps,
+                city: job.params.city,
+                preferences: job.params.preferences,
+                createdAt: job.createdAt,
+                startedAt: job.startedAt,
+                finishedAt: job.finishedAt,
+                queuePosition: job.status === 'queued' ? waiting.indexOf(job) + 1 : null,
+                refinement: job.refinement
+                    ? {
+                        parentId: job.refinement.parentId,
+                        message: job.refinement.request.message,
+                        delta: job.refinement.delta,
+                        reused: job.refinement.reused,
+                    }
+                    : null,
+                result: job.result,
+                error: job.error,
+            };
+        },
+    };
+}
+
+const searchQueue = createSearchQueue({
+    concurrency: config.searches.concurrency,
+    ttlMs: config.searches.ttlMinutes * 60 * 1000,
+});
+
+module.exports = {
+    createSearchQueue,
+    searchQueue,
+};
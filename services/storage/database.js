@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order. PRAGMA user_version records how many
+// have run, so only append to this list; never edit an entry that has shipped.
+const MIGRATIONS = [
+    `CREATE TABLE profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        defaults TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE saved_searches (
+        id TEXT PRIMARY KEY,
+        profile_id TEXT NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        city TEXT NOT NULL,
+        preferences TEXT NOT NULL,
+        weights TEXT,
+        anchors TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX saved_searches_profile ON saved_searches (profile_id, created_at);
+
+    CREATE TABLE search_history (
+        id TEXT PRIMARY KEY,
+        profile_id TEXT REFERENCES profiles(id) ON DELETE CASCADE,
+        saved_search_id TEXT REFERENCES saved_searches(id) ON DELETE SET NULL,
+        city TEXT NOT NULL,
+        preferences TEXT NOT NULL,
+        ranking TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX search_history_profile ON search_history (profile_id, created_at);
+    CREATE INDEX search_history_saved_search ON search_history (saved_search_id, created_at);`,
+
+    // The place a saved search's city resolved to, so an ambiguous name keeps
+    // meaning the same place, and its amenity search coverage
+    `ALTER TABLE saved_searches ADD COLUMN place_id TEXT;
+    ALTER TABLE saved_searches ADD COLUMN coverage TEXT;`,
+];
+
+// Function to open (creating if needed) the SQLite database and bring its schema up to date
+function openDatabase(filePath) {
+    if (filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const version = db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.slice(version);
+    if (pending.length > 0) {
+        db.transaction(() => {
+            pending.forEach(sql => db.exec(sql));
+            db.pragma(`user_version = ${MIGRATIONS.length}`);
+        })();
+        console.log(`🗄️  Database ${filePath} migrated to version ${MIGRATIONS.length}`);
+    }
+    return db;
+}
+
+module.exports = { openDatabase };
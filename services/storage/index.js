@@ -0,0 +1,15 @@
+const config = require('../../config');
+const { openDatabase } = require('./database');
+const { createStore } = require('./store');
+
+let store = null;
+
+// Function to get the shared store, opening the database file on first use
+function getStore() {
+    if (!store) {
+        store = createStore(openDatabase(config.storage.databaseFile));
+    }
+    return store;
+}
+
+module.exports = { getStore };
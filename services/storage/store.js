@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+// Persistence for user profiles, saved searches and search history on top of
+// a better-sqlite3 database. JSON-valued fields (profile defaults, weights,
+// anchors, rankings and results) are stored as JSON text. Lookups return null
+// and deletes return false when the row doesn't exist.
+
+function parseJson(text) {
+    return text === null || text === undefined ? null : JSON.parse(text);
+}
+
+function toJson(value) {
+    return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function toProfile(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        defaults: parseJson(row.defaults),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toSavedSearch(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        profileId: row.profile_id,
+        name: row.name,
+        city: row.city,
+        placeId: row.place_id,
+        preferences: row.preferences,
+        weights: parseJson(row.weights),
+        anchors: parseJson(row.anchors),
+        coverage: row.coverage,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// History entries are listed without their (large) result; getHistoryEntry includes it
+function toHistoryEntry(row, { withResult = false } = {}) {
+    if (!row) return null;
+    const entry = {
+        id: row.id,
+        profileId: row.profile_id,
+        savedSearchId: row.saved_search_id,
+        city: row.city,
+        preferences: row.preferences,
+        ranking: parseJson(row.ranking),
+        createdAt: row.created_at,
+    };
+    if (withResult) entry.result = parseJson(row.result);
+    return entry;
+}
+
+function createStore(db) {
+    const now = () => new Date().toISOString();
+
+    return {
+        createProfile({ name, defaults = {} }) {
+            const id = crypto.randomUUID();
+            const timestamp = now();
+            db.prepare('INSERT INTO profiles (id, name, defaults, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+                .run(id, name, JSON.stringify(defaults), timestamp, timestamp);
+            return this.getProfile(id);
+        },
+
+        listProfiles() {
+            return db.prepare('SELECT * FROM profiles ORDER BY created_at').all().map(row => toProfile(row));
+        },
+
+        getProfile(id) {
+            return toProfile(db.prepare('SELECT * FROM profiles WHERE id = ?').get(id));
+        },
+
+        // Function to update a profile's name and/or defaults (defaults are replaced, not merged)
+        updateProfile(id, { name, defaults }) {
+            const profile = this.getProfile(id);
+            if (!profile) return null;
+            db.prepare('UPDATE profiles SET name = ?, defaults = ?, updated_at = ? WHERE id = ?')
+                .run(name ?? profile.name, JSON.stringify(defaults ?? profile.defaults), now(), id);
+            return this.getProfile(id);
+        },
+
+        // Deleting a profile also deletes its saved searches and history
+        deleteProfile(id) {
+            return db.prepare('DELETE FROM profiles WHERE id = ?').run(id).changes > 0;
+        },
+
+        createSavedSearch(profileId, { name, city, placeId = null, preferences, weights, anchors, coverage = null }) {
+            const id = crypto.randomUUID();
+            const timestamp = now();
+            db.prepare(`INSERT INTO saved_searches
+                (id, profile_id, name, city, place_id, preferences, weights, anchors, coverage, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(id, profileId, name, city, placeId, preferences, toJson(weights), toJson(anchors), coverage, timestamp, timestamp);
+            return this.getSavedSearch(id);
+        },
+
+        listSavedSearches(profileId) {
+            return db.prepare('SELECT * FROM saved_searches WHERE profile_id = ? ORDER BY created_at')
+                .all(profileId).map(row => toSavedSearch(row));
+        },
+
+        getSavedSearch(id) {
+            return toSavedSearch(db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(id));
+        },
+
+        // Function to update a saved search; fields left undefined keep their value
+        updateSavedSearch(id, fields) {
+            const current = this.getSavedSearch(id);
+            if (!current) return null;
+            const next = { ...current };
+            for (const key of ['name', 'city', 'placeId', 'preferences', 'weights', 'anchors', 'coverage']) {
+                if (fields[key] !== undefined) next[key] = fields[key];
+            }
+            db.prepare(`UPDATE saved_searches
+                SET name = ?, city = ?, place_id = ?, preferences = ?, weights = ?, anchors = ?, coverage = ?, updated_at = ?
+                WHERE id = ?`)
+                .run(next.name, next.city, next.placeId, next.preferences, toJson(next.weights), toJson(next.anchors),
+                    next.coverage, now(), id);
+            return this.getSavedSearch(id);
+        },
+
+        // History entries of a deleted saved search are kept, unlinked from it
+        deleteSavedSearch(id) {
+            return db.prepare('DELETE FROM saved_searches WHERE id = ?').run(id).changes > 0;
+        },
+
+        // Function to record a finished search and its ranking
+        recordSearch({ profileId = null, savedSearchId = null, city, preferences, ranking, result }) {
+            const id = crypto.randomUUID();
+            db.prepare(`INSERT INTO search_history
+                (id, profile_id, saved_search_id, city, preferences, ranking, result, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(id, profileId, savedSearchId, city, preferences, JSON.stringify(ranking), JSON.stringify(result), now());
+            return toHistoryEntry(db.prepare('SELECT * FROM search_history WHERE id = ?').get(id));
+        },
+
+        // Function to list a profile's history, newest first, optionally for one saved search
+        listHistory(profileId, { savedSearchId = null, limit = 50 } = {}) {
+            const rows = savedSearchId
+                ? db.prepare(`SELECT * FROM search_history WHERE profile_id = ? AND saved_search_id = ?
+                    ORDER BY created_at DESC, rowid DESC LIMIT ?`).all(profileId, savedSearchId, limit)
+                : db.prepare(`SELECT * FROM search_history WHERE profile_id = ?
+                    ORDER BY created_at DESC, rowid DESC LIMIT ?`).all(profileId, limit);
+            return rows.map(row => toHistoryEntry(row));
+        },
+
+        // Function to get the most recent history entry of a saved search, with its result
+        latestRunOf(savedSearchId) {
+            const row = db.prepare(`SELECT * FROM search_history WHERE saved_search_id = ?
+                ORDER BY created_at DESC, rowid DESC LIMIT 1`).get(savedSearchId);
+            return toHistoryEntry(row, { withResult: true });
+        },
+
+        getHistoryEntry(id) {
+            return toHistoryEntry(db.prepare('SELECT * FROM search_history WHERE id = ?').get(id), { withResult: true });
+        },
+
+        deleteHistoryEntry(id) {
+            return db.prepare('DELETE FROM search_history WHERE id = ?').run(id).changes > 0;
+        },
+    };
+}
+
+module.exports = { createStore };
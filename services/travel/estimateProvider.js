@@ -0,0 +1,33 @@
+const { haversineDistance } = require('../geo/geometry');
+
+// Straight-line distances are stretched by this factor to approximate street routes
+const DETOUR_FACTOR = 1.3;
+
+// Typical urban door-to-door speeds (km/h) plus fixed overhead (minutes) per mode
+const MODE_PROFILES = {
+    walking: { speedKmh: 4.8, overheadMinutes: 0 },
+    bicycling: { speedKmh: 14, overheadMinutes: 2 },
+    transit: { speedKmh: 18, overheadMinutes: 8 },
+    driving: { speedKmh: 28, overheadMinutes: 5 },
+};
+
+// Offline travel-time provider: estimates minutes from straight-line distance
+// and a per-mode average speed. No network access needed.
+function createEstimateProvider() {
+    return {
+        name: 'estimate',
+
+        async travelTimes({ origins, destination, mode }) {
+            const profile = MODE_PROFILES[mode];
+            return origins.map(origin => {
+                const km = (haversineDistance(origin, destination) * DETOUR_FACTOR) / 1000;
+                return Math.round((km / profile.speedKmh) * 60 + profile.overheadMinutes);
+            });
+        },
+    };
+}
+
+module.exports = {
+    MODE_PROFILES,
+    createEstimateProvider,
+};
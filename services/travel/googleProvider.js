@@ -0,0 +1,47 @@
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { currentSignal } = require('../requestContext');
+const { createLimiter } = require('../scheduler');
+
+// Distance Matrix accepts at most 25 origins per request
+const MAX_ORIGINS = 25;
+
+// Travel-time provider backed by the Google Distance Matrix API; requests go
+// through `limiter`, shared with the geo provider (see services/scheduler.js)
+function createGoogleTravelProvider({ apiKey, limiter = createLimiter('Google Maps') }) {
+    const client = new Client({ config: { raxConfig: { retry: 0, noResponseRetries: 0 } } });
+
+    return {
+        name: 'google',
+
+        async travelTimes({ origins, destination, mode }) {
+            const batches = [];
+            for (let i = 0; i < origins.length; i += MAX_ORIGINS) {
+                batches.push(origins.slice(i, i + MAX_ORIGINS));
+            }
+
+            const minutes = await Promise.all(batches.map(async batch => {
+                const params = {
+                    origins: batch,
+                    destinations: [destination],
+                    mode,
+                    key: apiKey,
+                };
+                if (mode === 'transit' || mode === 'driving') {
+                    params.departure_time = 'now';
+                }
+
+                const response = await limiter.schedule(() => client.distancematrix({ params, signal: currentSignal() }), 'distancematrix');
+                const rows = response.data.rows || [];
+                return batch.map((_, j) => {
+                    const element = rows[j] && rows[j].elements[0];
+                    return element && element.status === 'OK'
+                        ? Math.round(element.duration.value / 60)
+                        : null;
+                });
+            }));
+            return minutes.flat();
+        },
+    };
+}
+
+module.exports = { createGoogleTravelProvider };
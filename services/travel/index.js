@@ -0,0 +1,28 @@
+const config = require('../../config');
+const { createGoogleTravelProvider } = require('./googleProvider');
+const { createEstimateProvider, MODE_PROFILES } = require('./estimateProvider');
+const { limiters } = require('../scheduler');
+
+// Every provider implements:
+//   travelTimes({ origins: [{ lat, lng }], destination: { lat, lng }, mode })
+//     -> minutes per origin (null where no route was found)
+const providerFactories = {
+    google: () => createGoogleTravelProvider({ apiKey: config.geo.googleApiKey, limiter: limiters.maps }),
+    estimate: () => createEstimateProvider(),
+};
+
+const TRAVEL_MODES = Object.keys(MODE_PROFILES);
+
+// Function to build the travel-time provider selected in config
+function createTravelTimeProvider(name = config.travel.provider) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown travel-time provider "${name}" (expected one of: ${Object.keys(providerFactories).join(', ')})`);
+    }
+    return factory();
+}
+
+module.exports = {
+    TRAVEL_MODES,
+    createTravelTimeProvider,
+};